@@ -9,6 +9,10 @@ const errorHandler = require('./middlewares/errorHandler');
 const userRoutes = require('./routes/userRoutes');
 const projectRoutes = require('./routes/projectRoutes');
 const ticketRoutes = require('./routes/ticketRoutes');
+const filterRoutes = require('./routes/filterRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const teamRoutes = require('./routes/teamRoutes');
 
 const app = express();
 
@@ -44,6 +48,10 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api/auth', userRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/tickets', ticketRoutes);
+app.use('/api/filters', filterRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/teams', teamRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,63 @@
+const ApiToken = require('../models/ApiToken');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+
+// Longest allowed token lifetime
+const MAX_EXPIRY_DAYS = 365;
+
+// Create a personal API token; the token value is only returned here
+const createApiToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays = 30 } = req.body;
+
+  if (expiresInDays > MAX_EXPIRY_DAYS) {
+    throw new ApiError(`Tokens cannot be valid for more than ${MAX_EXPIRY_DAYS} days`, 400);
+  }
+
+  const { apiToken, token } = await ApiToken.issue({
+    user: req.user,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API token created. Copy it now; it will not be shown again.',
+    data: { token, apiToken }
+  });
+});
+
+// List the current user's API tokens
+const getApiTokens = asyncHandler(async (req, res) => {
+  const apiTokens = await ApiToken.find({ user: req.user._id, revokedAt: null })
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { apiTokens }
+  });
+});
+
+// Revoke one of the current user's API tokens
+const revokeApiToken = asyncHandler(async (req, res) => {
+  const { tokenId } = req.params;
+
+  const apiToken = await ApiToken.findOne({ _id: tokenId, user: req.user._id, revokedAt: null });
+
+  if (!apiToken) {
+    throw new ApiError('API token not found', 404);
+  }
+
+  apiToken.revokedAt = new Date();
+  await apiToken.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'API token revoked successfully'
+  });
+});
+
+module.exports = {
+  createApiToken,
+  getApiTokens,
+  revokeApiToken
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const Ticket = require('../models/Ticket');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const storage = require('../utils/storage');
+const { keyForChecksum } = require('../utils/storage');
+const { findAccessibleTicket } = require('../utils/ticketAccess');
+
+// Upload an attachment to a ticket
+const uploadAttachment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!req.file) {
+    throw new ApiError('No file uploaded. Use the "file" form field', 400);
+  }
+
+  const { ticket } = await findAccessibleTicket(id, req.user, 'CONTRIBUTOR');
+
+  const checksum = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+
+  // Reject the same file being attached twice to one ticket
+  const duplicate = ticket.attachments.find(attachment => attachment.checksum === checksum);
+  if (duplicate) {
+    throw new ApiError(`This file is already attached as ${duplicate.fileName}`, 400);
+  }
+
+  // Identical content uploaded elsewhere is stored only once, under its checksum
+  const storageKey = keyForChecksum(checksum);
+
+  ticket.attachments.push({
+    fileName: req.file.originalname,
+    mimeType: req.file.mimetype,
+    size: req.file.size,
+    checksum,
+    storageKey,
+    uploadedBy: req.user._id,
+    uploadedAt: new Date()
+  });
+
+  const attachment = ticket.attachments[ticket.attachments.length - 1];
+  attachment.fileUrl = `/api/tickets/${ticket._id}/attachments/${attachment._id}`;
+
+  await ticket.save();
+
+  // Write the blob after saving the reference, even if it already exists: a concurrent
+  // delete of the last other attachment with this content may have just removed it
+  try {
+    await storage.putObject(storageKey, req.file.buffer, { contentType: req.file.mimetype });
+  } catch (error) {
+    attachment.deleteOne();
+    await ticket.save();
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Attachment uploaded successfully',
+    data: { attachment }
+  });
+});
+
+// List attachments of a ticket
+const getTicketAttachments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+  await ticket.populate('attachments.uploadedBy', 'name email');
+
+  res.json({
+    success: true,
+    data: {
+      attachments: ticket.attachments,
+      total: ticket.attachments.length
+    }
+  });
+});
+
+// Download an attachment
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+
+  const attachment = ticket.attachments.id(attachmentId);
+  if (!attachment) {
+    throw new ApiError('Attachment not found', 404);
+  }
+
+  const blob = await storage.headObject(attachment.storageKey);
+  if (!blob) {
+    throw new ApiError('Attachment file is missing from storage', 404);
+  }
+
+  // res.attachment sends an ASCII filename plus a UTF-8 filename* (it also guesses a type, so set ours after)
+  res.attachment(attachment.fileName);
+  res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream');
+  res.setHeader('Content-Length', blob.size);
+
+  const stream = storage.getObjectStream(attachment.storageKey);
+  stream.on('error', () => res.destroy());
+  stream.pipe(res);
+});
+
+// Delete an attachment (uploader, project manager or admin)
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  const { ticket, project } = await findAccessibleTicket(id, req.user);
+
+  const attachment = ticket.attachments.id(attachmentId);
+  if (!attachment) {
+    throw new ApiError('Attachment not found', 404);
+  }
+
+  const isUploader = attachment.uploadedBy?.toString() === req.user._id.toString();
+  if (req.user.role !== 'ADMIN' && !isUploader && !project.hasAccess(req.user._id, 'MANAGER')) {
+    throw new ApiError('Access denied. Only the uploader, project manager or admin can delete this attachment', 403);
+  }
+
+  const { storageKey } = attachment;
+  attachment.deleteOne();
+  await ticket.save();
+
+  // Remove the blob once no ticket references it any more
+  const unreferenced = await Ticket.findUnreferencedStorageKeys([storageKey]);
+  await storage.deleteObjects(unreferenced);
+
+  res.json({
+    success: true,
+    message: 'Attachment deleted successfully'
+  });
+});
+
+module.exports = {
+  uploadAttachment,
+  getTicketAttachments,
+  downloadAttachment,
+  deleteAttachment
+};
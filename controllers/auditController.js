@@ -0,0 +1,67 @@
+const AuditEvent = require('../models/AuditEvent');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { toCsvRow, CSV_COLUMNS } = require('../utils/auditLog');
+const { streamExport } = require('../utils/csv');
+
+// Build the audit event filter from query parameters
+const buildAuditQuery = ({ actor, action, targetType, targetId, from, to }) => {
+  const query = {};
+
+  if (actor) query.actor = actor;
+  if (action) query.action = action;
+  if (targetType) query['target.type'] = targetType;
+  if (targetId) query['target.id'] = targetId;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+// Get audit events (Admin only), paginated or exported as CSV/JSON
+const getAuditEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, format } = req.query;
+  const query = buildAuditQuery(req.query);
+
+  // Exports contain every matching event, streamed from a cursor
+  if (format === 'csv' || format === 'json') {
+    const cursor = AuditEvent.find(query).sort({ createdAt: -1 }).lean().cursor();
+
+    return streamExport(res, cursor, {
+      format,
+      filename: `audit-${new Date().toISOString().slice(0, 10)}.${format}`,
+      columns: CSV_COLUMNS,
+      toRow: toCsvRow
+    });
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const total = await AuditEvent.countDocuments(query);
+
+  const events = await AuditEvent.find(query)
+    .populate('actor', 'name email')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
+module.exports = {
+  getAuditEvents
+};
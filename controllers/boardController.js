@@ -0,0 +1,146 @@
+const Project = require('../models/Project');
+const Sprint = require('../models/Sprint');
+const Ticket = require('../models/Ticket');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const emailService = require('../utils/emailService');
+const { findAccessibleTicket } = require('../utils/ticketAccess');
+const { validateStatusChange, checkWipLimit } = require('../utils/ticketOperations');
+const { buildBoard, rankAfter } = require('../utils/board');
+
+// Get a project's Kanban board: tickets grouped by status column in rank order
+const getProjectBoard = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { sprint, assignedTo, type, priority } = req.query;
+
+  const project = await Project.findOne({ _id: id, isActive: true });
+
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  if (req.user.role !== 'ADMIN' && !project.hasAccess(req.user._id)) {
+    throw new ApiError('Access denied to this project', 403);
+  }
+
+  const query = { project: project._id };
+  let boardSprint = null;
+
+  if (sprint === 'backlog') {
+    query.sprint = null;
+  } else if (sprint === 'active') {
+    boardSprint = await Sprint.findActive(project._id);
+    if (!boardSprint) {
+      throw new ApiError('This project has no active sprint', 404);
+    }
+    query.sprint = boardSprint._id;
+  } else if (sprint) {
+    boardSprint = await Sprint.findOne({ _id: sprint, project: project._id });
+    if (!boardSprint) {
+      throw new ApiError('Sprint not found', 404);
+    }
+    query.sprint = boardSprint._id;
+  }
+
+  if (assignedTo) query.assignedTo = assignedTo === 'me' ? req.user._id : assignedTo;
+  if (type) query.type = type;
+  if (priority) query.priority = priority;
+
+  const tickets = await Ticket.find(query)
+    .populate('assignedTo', 'name email')
+    .select('key title status statusCategory priority type assignedTo sprint rank dueDate estimatedHours createdAt');
+
+  res.json({
+    success: true,
+    data: {
+      project: { _id: project._id, name: project.name, key: project.key },
+      sprint: boardSprint,
+      columns: buildBoard(project, tickets)
+    }
+  });
+});
+
+// Set the WIP limits of a project's board columns (project MANAGER or above)
+const updateWipLimits = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { wipLimits } = req.body;
+
+  const project = await Project.findOne({ _id: id, isActive: true });
+
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  if (req.user.role !== 'ADMIN' && !project.hasAccess(req.user._id, 'MANAGER')) {
+    throw new ApiError('Only project MANAGER role or above can change WIP limits', 403);
+  }
+
+  const statuses = wipLimits.map(entry => entry.status);
+  if (new Set(statuses).size !== statuses.length) {
+    throw new ApiError('Each status can only have one WIP limit', 400);
+  }
+
+  const unknown = statuses.filter(status => !project.hasStatus(status));
+  if (unknown.length > 0) {
+    throw new ApiError(`Statuses are not part of this project's workflow: ${unknown.join(', ')}`, 400);
+  }
+
+  project.wipLimits = wipLimits.map(({ status, limit }) => ({ status, limit }));
+  await project.save();
+
+  res.json({
+    success: true,
+    message: 'WIP limits updated successfully',
+    data: { wipLimits: project.wipLimits }
+  });
+});
+
+// Move a ticket on the board: change its column and position in one save
+const moveBoardTicket = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, afterTicket, comment, overrideWipLimit } = req.body;
+
+  const { ticket, project } = await findAccessibleTicket(id, req.user, 'CONTRIBUTOR');
+
+  const previousStatus = ticket.status;
+  const targetStatus = status || ticket.status;
+
+  if (afterTicket && afterTicket === ticket._id.toString()) {
+    throw new ApiError('A ticket cannot be placed after itself', 400);
+  }
+
+  if (targetStatus !== previousStatus) {
+    await validateStatusChange(ticket, project, { status: targetStatus, comment }, req.user);
+    await checkWipLimit(project, targetStatus, req.user, overrideWipLimit);
+  }
+
+  ticket.rank = await rankAfter(project._id, targetStatus, ticket._id, afterTicket);
+  ticket.$locals.rankSet = true;
+  ticket.status = targetStatus;
+  ticket.modifiedBy = req.user._id;
+  ticket.statusComment = comment;
+
+  await ticket.save();
+
+  await ticket.populate([
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'createdBy', select: 'name email' },
+    { path: 'project', select: 'name key' },
+    { path: 'watchers', select: 'name email' }
+  ]);
+
+  if (previousStatus !== ticket.status) {
+    emailService.sendTicketStatusUpdateEmail(ticket, req.user).catch(() => {});
+  }
+
+  res.json({
+    success: true,
+    message: 'Ticket moved successfully',
+    data: { ticket }
+  });
+});
+
+module.exports = {
+  getProjectBoard,
+  updateWipLimits,
+  moveBoardTicket
+};
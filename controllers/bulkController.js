@@ -0,0 +1,215 @@
+const Ticket = require('../models/Ticket');
+const Project = require('../models/Project');
+const SavedFilter = require('../models/SavedFilter');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const emailService = require('../utils/emailService');
+const { findTicketByReference } = require('../utils/ticketAccess');
+const { buildTicketQuery } = require('../utils/ticketQuery');
+const {
+  validateStatusChange,
+  checkWipLimit,
+  findAssignableUser,
+  canDeleteTicket,
+  removeTicket,
+  moveTicket
+} = require('../utils/ticketOperations');
+
+// Maximum number of tickets a single bulk request may touch
+const MAX_BULK_TICKETS = 100;
+
+// Resolve the tickets targeted by a saved filter, run as the current user
+const findFilterTicketIds = async (filterId, user) => {
+  const filter = await SavedFilter.findById(filterId);
+  const accessibleIds = await Project.findAccessibleProjectIds(user._id);
+
+  if (!filter || !filter.isVisibleTo(user, accessibleIds)) {
+    throw new ApiError('Filter not found', 404);
+  }
+
+  const { query, sort } = await buildTicketQuery(filter.toObject().query || {}, user);
+  const tickets = await Ticket.find(query).sort(sort).limit(MAX_BULK_TICKETS + 1).select('_id');
+
+  if (tickets.length > MAX_BULK_TICKETS) {
+    throw new ApiError(`Filter matches more than ${MAX_BULK_TICKETS} tickets. Narrow it down first`, 400);
+  }
+
+  return tickets.map(ticket => ticket._id.toString());
+};
+
+// Collects notifications so each recipient gets a single email
+const createNotificationBatch = () => {
+  const byRecipient = new Map();
+
+  return {
+    add(users, ticket, summary, actor) {
+      users
+        .filter(user => user && user.email && user._id.toString() !== actor._id.toString())
+        .forEach(user => {
+          const key = user._id.toString();
+          if (!byRecipient.has(key)) byRecipient.set(key, { user, changes: [] });
+          byRecipient.get(key).changes.push({
+            ticket: { key: ticket.key, title: ticket.title },
+            summary
+          });
+        });
+    },
+    send(actor) {
+      byRecipient.forEach(({ user, changes }) => {
+        emailService.sendBulkUpdateEmail(user, changes, actor).catch(() => {});
+      });
+      return byRecipient.size;
+    }
+  };
+};
+
+// Apply one bulk operation to one ticket, mirroring the single-ticket endpoints
+const applyOperation = async (ticket, project, operation, value, options, user, notifications) => {
+  const requireContributor = () => {
+    if (user.role !== 'ADMIN' && !project.hasAccess(user._id, 'CONTRIBUTOR')) {
+      throw new ApiError('Access denied to update this ticket', 403);
+    }
+  };
+
+  switch (operation) {
+    case 'STATUS': {
+      requireContributor();
+      if (ticket.status === value) return 'Status unchanged';
+      await validateStatusChange(ticket, project, { status: value, comment: options.comment }, user);
+      await checkWipLimit(project, value, user, options.overrideWipLimit);
+      ticket.status = value;
+      ticket.modifiedBy = user._id;
+      ticket.statusComment = options.comment;
+      await ticket.save();
+      await ticket.populate('watchers', 'name email');
+      notifications.add(ticket.watchers, ticket, `status changed to ${value}`, user);
+      return `Status changed to ${value}`;
+    }
+
+    case 'PRIORITY':
+      requireContributor();
+      ticket.priority = value;
+      ticket.modifiedBy = user._id;
+      await ticket.save();
+      return `Priority changed to ${value}`;
+
+    case 'ASSIGN': {
+      requireContributor();
+      const assignedUser = await findAssignableUser(project, value, user);
+      ticket.assignedTo = assignedUser._id;
+      ticket.addWatchers(assignedUser._id);
+      ticket.modifiedBy = user._id;
+      await ticket.save();
+      notifications.add([assignedUser], ticket, 'assigned to you', user);
+      return `Assigned to ${assignedUser.name}`;
+    }
+
+    case 'UNASSIGN':
+      requireContributor();
+      ticket.assignedTo = null;
+      ticket.modifiedBy = user._id;
+      await ticket.save();
+      return 'Unassigned';
+
+    case 'ADD_TAGS': {
+      requireContributor();
+      const tags = value.map(tag => tag.trim());
+      tags.forEach(tag => ticket.tags.addToSet(tag));
+      ticket.modifiedBy = user._id;
+      await ticket.save();
+      return `Tags added: ${tags.join(', ')}`;
+    }
+
+    case 'REMOVE_TAGS': {
+      requireContributor();
+      const tags = value.map(tag => tag.trim());
+      ticket.tags.pull(...tags);
+      ticket.modifiedBy = user._id;
+      await ticket.save();
+      return `Tags removed: ${tags.join(', ')}`;
+    }
+
+    case 'MOVE': {
+      const { targetProject, unassigned } = await moveTicket(ticket, project, value, user);
+      await ticket.populate('watchers', 'name email');
+      notifications.add(ticket.watchers, ticket, `moved to ${targetProject.name}`, user);
+      return `Moved to ${targetProject.name}${unassigned ? ' (assignee removed)' : ''}`;
+    }
+
+    case 'DELETE':
+      if (!canDeleteTicket(ticket, project, user)) {
+        throw new ApiError('Access denied. Only admin, project creator, or ticket creator can delete tickets', 403);
+      }
+      await removeTicket(ticket, user);
+      return 'Deleted';
+
+    default:
+      throw new ApiError(`Unknown operation ${operation}`, 400);
+  }
+};
+
+// Apply one operation to many tickets, reporting success per ticket
+const bulkUpdateTickets = asyncHandler(async (req, res) => {
+  const { ticketIds, filterId, operation, value, comment, overrideWipLimit } = req.body;
+
+  const references = filterId
+    ? await findFilterTicketIds(filterId, req.user)
+    : [...new Set(ticketIds)];
+
+  if (references.length > MAX_BULK_TICKETS) {
+    throw new ApiError(`A bulk operation can target at most ${MAX_BULK_TICKETS} tickets`, 400);
+  }
+
+  const notifications = createNotificationBatch();
+  const projects = new Map();
+  const results = [];
+
+  // Tickets are processed one at a time so one failure doesn't affect the others
+  for (const reference of references) {
+    try {
+      const ticket = await findTicketByReference(reference);
+
+      const projectId = ticket.project.toString();
+      if (!projects.has(projectId)) {
+        projects.set(projectId, await Project.findById(projectId));
+      }
+      const project = projects.get(projectId);
+
+      if (req.user.role !== 'ADMIN' && !project.hasAccess(req.user._id)) {
+        throw new ApiError('Ticket not found', 404);
+      }
+
+      const message = await applyOperation(
+        ticket, project, operation, value, { comment, overrideWipLimit }, req.user, notifications
+      );
+
+      results.push({ ticket: reference, key: ticket.key, success: true, message });
+    } catch (error) {
+      const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+      results.push({
+        ticket: reference,
+        success: false,
+        statusCode,
+        message: statusCode === 500 ? 'Internal Server Error' : error.message
+      });
+    }
+  }
+
+  notifications.send(req.user);
+
+  const succeeded = results.filter(result => result.success).length;
+
+  res.json({
+    success: true,
+    message: `${succeeded} of ${results.length} tickets updated successfully`,
+    data: {
+      operation,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    }
+  });
+});
+
+module.exports = {
+  bulkUpdateTickets
+};
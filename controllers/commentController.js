@@ -0,0 +1,234 @@
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const emailService = require('../utils/emailService');
+const { findAccessibleTicket } = require('../utils/ticketAccess');
+
+// Resolve @name and @email mentions against the project's members
+const resolveMentions = async (body, project, author) => {
+  const members = await User.find({ _id: { $in: project.getMemberUserIds() }, isActive: true })
+    .select('name email');
+
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return members.filter(member => {
+    if (member._id.toString() === author._id.toString()) return false;
+
+    const pattern = new RegExp(
+      `(^|\\s)@(${escape(member.email)}|${escape(member.name)})(?![\\w@.])`,
+      'i'
+    );
+    return pattern.test(body);
+  });
+};
+
+// Email mentioned users (async, don't wait for it)
+const notifyMentions = (users, ticket, comment, author) => {
+  users.forEach(user => {
+    emailService.sendCommentMentionEmail(ticket, comment, user, author).catch(() => {});
+  });
+};
+
+// Add a comment (or reply) to a ticket
+const createComment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { body, parent } = req.body;
+
+  const { ticket, project } = await findAccessibleTicket(id, req.user);
+
+  // Replies always attach to the top-level comment of the thread
+  let parentId = null;
+  if (parent) {
+    const parentComment = await Comment.findOne({ _id: parent, ticket: ticket._id });
+    if (!parentComment) {
+      throw new ApiError('Parent comment not found on this ticket', 404);
+    }
+    parentId = parentComment.parent || parentComment._id;
+  }
+
+  const mentionedUsers = await resolveMentions(body, project, req.user);
+
+  const comment = await Comment.create({
+    ticket: ticket._id,
+    author: req.user._id,
+    body,
+    parent: parentId,
+    mentions: mentionedUsers.map(user => user._id)
+  });
+
+  await comment.populate([
+    { path: 'author', select: 'name email' },
+    { path: 'mentions', select: 'name email' }
+  ]);
+
+  // Commenters and mentioned users start watching the ticket
+  ticket.addWatchers(req.user._id, ...mentionedUsers);
+  await ticket.save();
+  await ticket.populate('watchers', 'name email');
+
+  notifyMentions(mentionedUsers, ticket, comment, req.user);
+  emailService.sendTicketCommentEmail(ticket, comment, req.user, mentionedUsers).catch(() => {});
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: { comment }
+  });
+});
+
+// Get comments for a ticket, threaded and paginated by top-level comment
+const getTicketComments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+
+  const query = { ticket: ticket._id, parent: null };
+
+  const total = await Comment.countDocuments(query);
+
+  const threads = await Comment.find(query)
+    .populate('author', 'name email')
+    .populate('mentions', 'name email')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .sort({ createdAt: 1 });
+
+  const replies = await Comment.find({
+    ticket: ticket._id,
+    parent: { $in: threads.map(thread => thread._id) }
+  })
+    .populate('author', 'name email')
+    .populate('mentions', 'name email')
+    .sort({ createdAt: 1 });
+
+  const comments = threads.map(thread => ({
+    ...thread.toJSON(),
+    replies: replies
+      .filter(reply => reply.parent.toString() === thread._id.toString())
+      .map(reply => reply.toJSON())
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      comments,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Edit a comment (author only), keeping the previous revision
+const updateComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+  const { body } = req.body;
+
+  const { ticket, project } = await findAccessibleTicket(id, req.user);
+
+  const comment = await Comment.findOne({ _id: commentId, ticket: ticket._id, isDeleted: false });
+  if (!comment) {
+    throw new ApiError('Comment not found', 404);
+  }
+
+  if (comment.author.toString() !== req.user._id.toString()) {
+    throw new ApiError('Access denied. Only the author can edit this comment', 403);
+  }
+
+  if (body === comment.body) {
+    throw new ApiError('Comment body is unchanged', 400);
+  }
+
+  const previousMentions = comment.mentions.map(userId => userId.toString());
+  const mentionedUsers = await resolveMentions(body, project, req.user);
+
+  comment.edit(body);
+  comment.mentions = mentionedUsers.map(user => user._id);
+
+  await comment.save();
+  await comment.populate([
+    { path: 'author', select: 'name email' },
+    { path: 'mentions', select: 'name email' }
+  ]);
+
+  // Only notify people who were not already mentioned
+  const newlyMentioned = mentionedUsers.filter(user =>
+    !previousMentions.includes(user._id.toString())
+  );
+  notifyMentions(newlyMentioned, ticket, comment, req.user);
+
+  if (newlyMentioned.length > 0) {
+    ticket.addWatchers(...newlyMentioned);
+    await ticket.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: { comment }
+  });
+});
+
+// Soft-delete a comment (author, project manager or admin)
+const deleteComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+
+  const { ticket, project } = await findAccessibleTicket(id, req.user);
+
+  const comment = await Comment.findOne({ _id: commentId, ticket: ticket._id, isDeleted: false });
+  if (!comment) {
+    throw new ApiError('Comment not found', 404);
+  }
+
+  const isAuthor = comment.author.toString() === req.user._id.toString();
+  if (req.user.role !== 'ADMIN' && !isAuthor && !project.hasAccess(req.user._id, 'MANAGER')) {
+    throw new ApiError('Access denied. Only the author, project manager or admin can delete this comment', 403);
+  }
+
+  comment.isDeleted = true;
+  comment.deletedAt = new Date();
+  comment.deletedBy = req.user._id;
+  await comment.save();
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+});
+
+// Get the edit history of a comment
+const getCommentRevisions = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+
+  const comment = await Comment.findOne({ _id: commentId, ticket: ticket._id, isDeleted: false })
+    .populate('author', 'name email');
+  if (!comment) {
+    throw new ApiError('Comment not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      current: {
+        body: comment.body,
+        editedAt: comment.editedAt || comment.createdAt
+      },
+      revisions: comment.revisions
+    }
+  });
+});
+
+module.exports = {
+  createComment,
+  getTicketComments,
+  updateComment,
+  deleteComment,
+  getCommentRevisions
+};
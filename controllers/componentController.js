@@ -0,0 +1,155 @@
+const User = require('../models/User');
+const Ticket = require('../models/Ticket');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const { findAccessibleProject } = require('../utils/projectAccess');
+
+// Verify a component lead / default assignee is an active user with access to the project
+const findProjectUser = async (project, userId, label) => {
+  if (!userId) return null;
+
+  const user = await User.findOne({ _id: userId, isActive: true });
+  if (!user) {
+    throw new ApiError(`${label} not found or inactive`, 404);
+  }
+
+  if (!project.hasAccess(user._id)) {
+    throw new ApiError(`${label} does not have access to this project`, 400);
+  }
+
+  return user._id;
+};
+
+// Reject a component name already used in the project (case-insensitive)
+const checkComponentName = (project, name, excludeId) => {
+  const taken = project.components.some(component =>
+    component.name.toLowerCase() === name.toLowerCase() &&
+    (!excludeId || component._id.toString() !== excludeId.toString())
+  );
+
+  if (taken) {
+    throw new ApiError(`Component ${name} already exists in this project`, 400);
+  }
+};
+
+// List the components of a project with their open ticket counts
+const getComponents = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'VIEWER');
+  await project.populate('components.lead components.defaultAssignee', 'name email');
+
+  const counts = await Ticket.aggregate([
+    { $match: { project: project._id, ...Ticket.openStatusFilter() } },
+    { $unwind: '$components' },
+    { $group: { _id: '$components', count: { $sum: 1 } } }
+  ]);
+  const openByComponent = new Map(counts.map(count => [count._id.toString(), count.count]));
+
+  res.json({
+    success: true,
+    data: {
+      components: project.components.map(component => ({
+        ...component.toObject(),
+        openTickets: openByComponent.get(component._id.toString()) || 0
+      }))
+    }
+  });
+});
+
+// Add a component to a project (project MANAGER or above)
+const createComponent = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description, lead, defaultAssignee } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  checkComponentName(project, name);
+
+  project.components.push({
+    name,
+    description,
+    lead: await findProjectUser(project, lead, 'Component lead'),
+    defaultAssignee: await findProjectUser(project, defaultAssignee, 'Default assignee')
+  });
+
+  await project.save();
+
+  const component = project.components[project.components.length - 1];
+  await project.populate('components.lead components.defaultAssignee', 'name email');
+
+  res.status(201).json({
+    success: true,
+    message: 'Component created successfully',
+    data: { component: project.findComponent(component._id) }
+  });
+});
+
+// Update a component (project MANAGER or above); null clears the lead / default assignee
+const updateComponent = asyncHandler(async (req, res) => {
+  const { id, componentId } = req.params;
+  const { name, description, lead, defaultAssignee } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+
+  const component = project.findComponent(componentId);
+  if (!component) {
+    throw new ApiError('Component not found', 404);
+  }
+
+  if (name && name !== component.name) {
+    checkComponentName(project, name, component._id);
+    component.name = name;
+  }
+  if (description !== undefined) {
+    component.description = description;
+  }
+  if (lead !== undefined) {
+    component.lead = await findProjectUser(project, lead, 'Component lead');
+  }
+  if (defaultAssignee !== undefined) {
+    component.defaultAssignee = await findProjectUser(project, defaultAssignee, 'Default assignee');
+  }
+
+  await project.save();
+  await project.populate('components.lead components.defaultAssignee', 'name email');
+
+  res.json({
+    success: true,
+    message: 'Component updated successfully',
+    data: { component: project.findComponent(component._id) }
+  });
+});
+
+// Delete a component and remove it from tickets (project MANAGER or above)
+const deleteComponent = asyncHandler(async (req, res) => {
+  const { id, componentId } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+
+  const component = project.findComponent(componentId);
+  if (!component) {
+    throw new ApiError('Component not found', 404);
+  }
+
+  project.components.pull(component._id);
+  await project.save();
+
+  const tickets = await Ticket.find({ project: project._id, components: component._id });
+  for (const ticket of tickets) {
+    ticket.components.pull(component._id);
+    ticket.modifiedBy = req.user._id;
+    await ticket.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Component deleted successfully',
+    data: { updatedTickets: tickets.length }
+  });
+});
+
+module.exports = {
+  getComponents,
+  createComponent,
+  updateComponent,
+  deleteComponent
+};
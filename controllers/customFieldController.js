@@ -0,0 +1,162 @@
+const Ticket = require('../models/Ticket');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const { findAccessibleProject } = require('../utils/projectAccess');
+const { parseCustomFieldValue, checkCustomFieldUser } = require('../utils/customFields');
+
+// Upper bound on custom fields per project
+const MAX_CUSTOM_FIELDS = 50;
+
+const hasOptions = (type) => type === 'SELECT' || type === 'MULTI_SELECT';
+
+// Check a field's options and default value, returning the default to store
+const checkFieldDefinition = async (project, field) => {
+  if (hasOptions(field.type)) {
+    if (!field.options || field.options.length === 0) {
+      throw new ApiError(`${field.type} fields need at least one option`, 400);
+    }
+    if (new Set(field.options).size !== field.options.length) {
+      throw new ApiError('Options must be unique', 400);
+    }
+  } else if (field.options && field.options.length > 0) {
+    throw new ApiError(`${field.type} fields cannot have options`, 400);
+  }
+
+  const defaultValue = parseCustomFieldValue(field, field.defaultValue);
+  if (defaultValue !== null && field.type === 'USER') {
+    await checkCustomFieldUser(project, field, defaultValue);
+  }
+
+  return defaultValue;
+};
+
+// List the custom fields defined for a project
+const getCustomFields = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'VIEWER');
+
+  res.json({
+    success: true,
+    data: { customFields: project.customFields }
+  });
+});
+
+// Define a custom field for a project's tickets (project MANAGER or above)
+const createCustomField = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { key, name, type, options = [], required = false, defaultValue } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+
+  if (project.findCustomField(key)) {
+    throw new ApiError(`Custom field ${key} already exists in this project`, 400);
+  }
+  if (project.customFields.length >= MAX_CUSTOM_FIELDS) {
+    throw new ApiError(`Projects can have at most ${MAX_CUSTOM_FIELDS} custom fields`, 400);
+  }
+
+  const field = { key, name, type, options, required, defaultValue };
+  field.defaultValue = await checkFieldDefinition(project, field);
+
+  project.customFields.push(field);
+  await project.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Custom field created successfully',
+    data: { customField: project.findCustomField(key) }
+  });
+});
+
+// Update a custom field's name, options, required flag or default (project MANAGER or above).
+// The key and type are fixed; options still used by tickets cannot be removed
+const updateCustomField = asyncHandler(async (req, res) => {
+  const { id, key } = req.params;
+  const { name, options, required, defaultValue } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+
+  const field = project.findCustomField(key);
+  if (!field) {
+    throw new ApiError('Custom field not found', 404);
+  }
+
+  if (req.body.type !== undefined && req.body.type !== field.type) {
+    throw new ApiError('The type of a custom field cannot be changed', 400);
+  }
+
+  const updated = {
+    type: field.type,
+    name: name !== undefined ? name : field.name,
+    options: options !== undefined ? options : field.options,
+    defaultValue: defaultValue !== undefined ? defaultValue : field.defaultValue
+  };
+
+  if (options !== undefined && hasOptions(field.type)) {
+    const removed = field.options.filter(option => !options.includes(option));
+    if (removed.length > 0) {
+      const inUse = await Ticket.countDocuments({
+        project: project._id,
+        [`customFields.${field.key}`]: { $in: removed }
+      });
+      if (inUse > 0) {
+        throw new ApiError(`Options still used by ${inUse} ticket(s) cannot be removed: ${removed.join(', ')}`, 400);
+      }
+    }
+  }
+
+  field.defaultValue = await checkFieldDefinition(project, updated);
+  field.name = updated.name;
+  field.options = updated.options;
+  if (required !== undefined) {
+    field.required = required;
+  }
+
+  await project.save();
+
+  res.json({
+    success: true,
+    message: 'Custom field updated successfully',
+    data: { customField: field }
+  });
+});
+
+// Delete a custom field and remove its values from tickets (project MANAGER or above)
+const deleteCustomField = asyncHandler(async (req, res) => {
+  const { id, key } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+
+  const field = project.findCustomField(key);
+  if (!field) {
+    throw new ApiError('Custom field not found', 404);
+  }
+
+  project.customFields.pull(field._id);
+  await project.save();
+
+  const tickets = await Ticket.find({
+    project: project._id,
+    [`customFields.${key}`]: { $exists: true }
+  });
+  for (const ticket of tickets) {
+    const values = { ...ticket.customFields };
+    delete values[key];
+    ticket.customFields = values;
+    ticket.modifiedBy = req.user._id;
+    await ticket.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Custom field deleted successfully',
+    data: { updatedTickets: tickets.length }
+  });
+});
+
+module.exports = {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
@@ -0,0 +1,202 @@
+const SavedFilter = require('../models/SavedFilter');
+const Project = require('../models/Project');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const { buildTicketQuery, findTicketPage } = require('../utils/ticketQuery');
+
+// Fields copied from the request into a filter's saved query
+const QUERY_FIELDS = ['status', 'priority', 'type', 'assignedTo', 'project', 'search', 'sprint', 'component', 'customFields', 'sortBy', 'sortOrder'];
+
+// '', null and {} leave a query field unset (and clear it on update)
+const isEmptyQueryValue = (value) =>
+  value === '' || value === null || (typeof value === 'object' && Object.keys(value).length === 0);
+
+// Check sharing rules for the requested visibility
+const checkVisibility = async (visibility, projectId, user) => {
+  if (visibility === 'GLOBAL' && user.role !== 'ADMIN') {
+    throw new ApiError('Only admin can share filters globally', 403);
+  }
+
+  if (visibility === 'PROJECT') {
+    const project = await Project.findOne({ _id: projectId, isActive: true });
+    if (!project) {
+      throw new ApiError('Project not found', 404);
+    }
+    if (user.role !== 'ADMIN' && !project.hasAccess(user._id)) {
+      throw new ApiError('Access denied to this project', 403);
+    }
+  }
+};
+
+// Load a filter the current user is allowed to see
+const findVisibleFilter = async (filterId, user) => {
+  const filter = await SavedFilter.findById(filterId).populate('owner', 'name email');
+
+  if (!filter) {
+    throw new ApiError('Filter not found', 404);
+  }
+
+  const accessibleIds = await Project.findAccessibleProjectIds(user._id);
+  if (!filter.isVisibleTo(user, accessibleIds)) {
+    throw new ApiError('Filter not found', 404);
+  }
+
+  return filter;
+};
+
+// Create a saved filter
+const createFilter = asyncHandler(async (req, res) => {
+  const { name, description, visibility = 'PRIVATE', project, query = {} } = req.body;
+
+  await checkVisibility(visibility, project, req.user);
+
+  const existingFilter = await SavedFilter.findOne({ owner: req.user._id, name });
+  if (existingFilter) {
+    throw new ApiError('You already have a filter with this name', 400);
+  }
+
+  const filter = await SavedFilter.create({
+    name,
+    description,
+    owner: req.user._id,
+    visibility,
+    project: visibility === 'PROJECT' ? project : undefined,
+    query: QUERY_FIELDS.reduce((acc, field) => {
+      if (query[field] !== undefined && !isEmptyQueryValue(query[field])) acc[field] = query[field];
+      return acc;
+    }, {})
+  });
+
+  await filter.populate('owner', 'name email');
+
+  res.status(201).json({
+    success: true,
+    message: 'Filter saved successfully',
+    data: { filter }
+  });
+});
+
+// Get filters visible to the current user
+const getFilters = asyncHandler(async (req, res) => {
+  const { visibility, project } = req.query;
+
+  const accessibleIds = await Project.findAccessibleProjectIds(req.user._id);
+
+  let filterQuery = SavedFilter.findVisibleTo(req.user, accessibleIds);
+  if (visibility) filterQuery = filterQuery.where('visibility').equals(visibility);
+  if (project) filterQuery = filterQuery.where('project').equals(project);
+
+  const filters = await filterQuery
+    .populate('owner', 'name email')
+    .populate('project', 'name key')
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      filters,
+      total: filters.length
+    }
+  });
+});
+
+// Get a saved filter by ID
+const getFilterById = asyncHandler(async (req, res) => {
+  const filter = await findVisibleFilter(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: { filter }
+  });
+});
+
+// Update a saved filter (owner or admin)
+const updateFilter = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  const filter = await findVisibleFilter(id, req.user);
+
+  if (req.user.role !== 'ADMIN' && filter.owner._id.toString() !== req.user._id.toString()) {
+    throw new ApiError('Access denied. Only the owner or admin can update this filter', 403);
+  }
+
+  if (updates.visibility !== undefined || updates.project !== undefined) {
+    const visibility = updates.visibility || filter.visibility;
+    const project = updates.project || filter.project;
+    await checkVisibility(visibility, project, req.user);
+    filter.visibility = visibility;
+    filter.project = visibility === 'PROJECT' ? project : undefined;
+  }
+
+  if (updates.name && updates.name !== filter.name) {
+    const existingFilter = await SavedFilter.findOne({
+      owner: filter.owner._id,
+      name: updates.name,
+      _id: { $ne: id }
+    });
+    if (existingFilter) {
+      throw new ApiError('A filter with this name already exists', 400);
+    }
+    filter.name = updates.name;
+  }
+
+  if (updates.description !== undefined) filter.description = updates.description;
+
+  if (updates.query) {
+    QUERY_FIELDS.forEach(field => {
+      if (updates.query[field] !== undefined) {
+        filter.query[field] = isEmptyQueryValue(updates.query[field]) ? undefined : updates.query[field];
+      }
+    });
+  }
+
+  await filter.save();
+
+  res.json({
+    success: true,
+    message: 'Filter updated successfully',
+    data: { filter }
+  });
+});
+
+// Delete a saved filter (owner or admin)
+const deleteFilter = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const filter = await findVisibleFilter(id, req.user);
+
+  if (req.user.role !== 'ADMIN' && filter.owner._id.toString() !== req.user._id.toString()) {
+    throw new ApiError('Access denied. Only the owner or admin can delete this filter', 403);
+  }
+
+  await SavedFilter.findByIdAndDelete(id);
+
+  res.json({
+    success: true,
+    message: 'Filter deleted successfully'
+  });
+});
+
+// Run a saved filter with the current user's access rules
+const getFilterTickets = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const filter = await findVisibleFilter(req.params.id, req.user);
+
+  const { query, sort, rankedIds } = await buildTicketQuery(filter.toObject().query || {}, req.user);
+  const result = await findTicketPage(query, sort, { page, limit, rankedIds });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  createFilter,
+  getFilters,
+  getFilterById,
+  updateFilter,
+  deleteFilter,
+  getFilterTickets
+};
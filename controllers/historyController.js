@@ -0,0 +1,101 @@
+const TicketHistory = require('../models/TicketHistory');
+const Comment = require('../models/Comment');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { findAccessibleTicket } = require('../utils/ticketAccess');
+
+// Get the field change history of a ticket, newest first
+const getTicketHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+
+  const query = { ticket: ticket._id };
+
+  const total = await TicketHistory.countDocuments(query);
+
+  const history = await TicketHistory.find(query)
+    .populate('actor', 'name email')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      history,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Get comments and field changes of a ticket as a single feed, newest first
+const getTicketActivity = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+
+  const query = { ticket: ticket._id };
+
+  // Each source only needs enough entries to fill the requested page once merged
+  const window = skip + parseInt(limit);
+
+  const [historyTotal, commentTotal, history, comments] = await Promise.all([
+    TicketHistory.countDocuments(query),
+    Comment.countDocuments(query),
+    TicketHistory.find(query)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(window),
+    Comment.find(query)
+      .populate('author', 'name email')
+      .populate('mentions', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(window)
+  ]);
+
+  const total = historyTotal + commentTotal;
+
+  const activity = [
+    ...history.map(entry => ({
+      kind: 'CHANGE',
+      createdAt: entry.createdAt,
+      actor: entry.actor,
+      change: entry
+    })),
+    ...comments.map(comment => ({
+      kind: 'COMMENT',
+      createdAt: comment.createdAt,
+      actor: comment.author,
+      comment
+    }))
+  ]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(skip, window);
+
+  res.json({
+    success: true,
+    data: {
+      activity,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
+module.exports = {
+  getTicketHistory,
+  getTicketActivity
+};
@@ -0,0 +1,184 @@
+const Project = require('../models/Project');
+const User = require('../models/User');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const emailService = require('../utils/emailService');
+const { recordAuditEvent, auditTarget } = require('../utils/auditLog');
+const { ensureEmailVerified } = require('../utils/accountPolicy');
+const { acceptInvitation } = require('../utils/invitations');
+
+// Load an active project the current user may manage members of (admin or project creator)
+const findManageableProject = async (id, user) => {
+  const project = await Project.findOne({ _id: id, isActive: true });
+
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  if (user.role !== 'ADMIN' && project.createdBy.toString() !== user._id.toString()) {
+    throw new ApiError('Access denied. Only admin or project creator can manage invitations', 403);
+  }
+
+  return project;
+};
+
+// Invite someone to a project by email
+const createInvitation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { email, role = 'CONTRIBUTOR' } = req.body;
+
+  const project = await findManageableProject(id, req.user);
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser && project.hasAccess(existingUser._id)) {
+    throw new ApiError('User is already a member of this project', 400);
+  }
+
+  await ProjectInvitation.expireStale(project._id, email);
+  const pending = await ProjectInvitation.findOne({ project: project._id, email, status: 'PENDING' });
+  if (pending) {
+    throw new ApiError('An invitation is already pending for this email', 400);
+  }
+
+  const { invitation, token } = await ProjectInvitation.issue({
+    project,
+    email,
+    role,
+    invitedBy: req.user
+  });
+
+  await recordAuditEvent(req, {
+    action: 'PROJECT_INVITATION_CREATED',
+    target: auditTarget('PROJECT', project),
+    after: { email, role, invitation: invitation._id }
+  });
+
+  const acceptUrl = `${process.env.FRONTEND_URL}/invitations/${token}`;
+  emailService.sendProjectInvitationEmail(project, existingUser || { email }, req.user, acceptUrl).catch(() => {});
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: { invitation }
+  });
+});
+
+// List open invitations of a project
+const getProjectInvitations = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const project = await findManageableProject(id, req.user);
+
+  const invitations = await ProjectInvitation.find({
+    project: project._id,
+    status: 'PENDING',
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { invitations }
+  });
+});
+
+// Revoke an open invitation
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const { id, invitationId } = req.params;
+
+  const project = await findManageableProject(id, req.user);
+
+  const invitation = await ProjectInvitation.findOne({
+    _id: invitationId,
+    project: project._id,
+    status: 'PENDING'
+  });
+
+  if (!invitation) {
+    throw new ApiError('Invitation not found', 404);
+  }
+
+  invitation.status = 'REVOKED';
+  invitation.respondedAt = new Date();
+  await invitation.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: 'PROJECT_INVITATION_REVOKED',
+    target: auditTarget('PROJECT', project),
+    before: { email: invitation.email, role: invitation.role, invitation: invitation._id }
+  });
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked successfully'
+  });
+});
+
+// List open invitations sent to the current user's email
+const getMyInvitations = asyncHandler(async (req, res) => {
+  const invitations = await ProjectInvitation.findPendingForEmail(req.user.email)
+    .populate('project', 'name key description')
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { invitations }
+  });
+});
+
+// Accept an invitation from its email link (invitee must be signed in with that email)
+const acceptInvitationByToken = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const invitation = await ProjectInvitation.findPendingByToken(token);
+
+  if (!invitation) {
+    throw new ApiError('Invitation not found or expired', 404);
+  }
+
+  if (invitation.email !== req.user.email) {
+    throw new ApiError('This invitation was sent to a different email address', 403);
+  }
+
+  await ensureEmailVerified(req.user, 'join projects');
+
+  const project = await acceptInvitation(invitation, req.user, req);
+  await project.populate('members.user', 'name email');
+
+  res.json({
+    success: true,
+    message: 'Invitation accepted successfully',
+    data: { project }
+  });
+});
+
+// Decline an invitation from its email link
+const declineInvitation = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const invitation = await ProjectInvitation.findPendingByToken(token);
+
+  if (!invitation) {
+    throw new ApiError('Invitation not found or expired', 404);
+  }
+
+  invitation.status = 'DECLINED';
+  invitation.respondedAt = new Date();
+  await invitation.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Invitation declined'
+  });
+});
+
+module.exports = {
+  createInvitation,
+  getProjectInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitationByToken,
+  declineInvitation
+};
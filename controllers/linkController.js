@@ -0,0 +1,141 @@
+const Ticket = require('../models/Ticket');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const { findAccessibleTicket, findTicketByReference } = require('../utils/ticketAccess');
+
+// Request link types mapped to the stored type and direction
+const LINK_REQUEST_TYPES = {
+  'blocks': { type: 'BLOCKS', inverse: false },
+  'is-blocked-by': { type: 'BLOCKS', inverse: true },
+  'duplicates': { type: 'DUPLICATES', inverse: false },
+  'is-duplicated-by': { type: 'DUPLICATES', inverse: true },
+  'relates-to': { type: 'RELATES_TO', inverse: false }
+};
+
+// Link a ticket to another ticket
+const addTicketLink = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { type, ticket: reference } = req.body;
+
+  const { ticket } = await findAccessibleTicket(id, req.user, 'CONTRIBUTOR');
+  const linkedTicket = await findTicketByReference(reference);
+  await findAccessibleTicket(linkedTicket._id, req.user, 'CONTRIBUTOR');
+
+  if (ticket._id.toString() === linkedTicket._id.toString()) {
+    throw new ApiError('A ticket cannot be linked to itself', 400);
+  }
+
+  // Links are always stored on the source side
+  const { type: linkType, inverse } = LINK_REQUEST_TYPES[type];
+  const [source, target] = inverse ? [linkedTicket, ticket] : [ticket, linkedTicket];
+
+  const alreadyLinked = source.links.some(link =>
+    link.type === linkType && link.ticket.toString() === target._id.toString()
+  ) || (linkType === 'RELATES_TO' && target.links.some(link =>
+    link.type === linkType && link.ticket.toString() === source._id.toString()
+  ));
+  if (alreadyLinked) {
+    throw new ApiError('These tickets are already linked this way', 400);
+  }
+
+  if (linkType === 'BLOCKS' && await Ticket.wouldCreateBlockingCycle(source._id, target._id)) {
+    throw new ApiError(`${target.key || target._id} already blocks ${source.key || source._id} (directly or indirectly)`, 400);
+  }
+
+  source.links.push({
+    type: linkType,
+    ticket: target._id,
+    createdBy: req.user._id,
+    createdAt: new Date()
+  });
+  await source.save();
+
+  const links = await ticket.getLinkGroups(req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tickets linked successfully',
+    data: { links }
+  });
+});
+
+// Remove a link from either side of the relationship
+const removeTicketLink = asyncHandler(async (req, res) => {
+  const { id, linkId } = req.params;
+
+  const { ticket } = await findAccessibleTicket(id, req.user, 'CONTRIBUTOR');
+
+  const source = ticket.links.id(linkId)
+    ? ticket
+    : await Ticket.findOne({ links: { $elemMatch: { _id: linkId, ticket: ticket._id } } });
+
+  if (!source) {
+    throw new ApiError('Link not found', 404);
+  }
+
+  if (source !== ticket) {
+    await findAccessibleTicket(source._id, req.user, 'CONTRIBUTOR');
+  }
+
+  source.links.id(linkId).deleteOne();
+  await source.save();
+
+  res.json({
+    success: true,
+    message: 'Link removed successfully'
+  });
+});
+
+// Set or clear the parent of a ticket (subtask hierarchy)
+const setTicketParent = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { parent: reference } = req.body;
+
+  const { ticket } = await findAccessibleTicket(id, req.user, 'CONTRIBUTOR');
+
+  if (reference) {
+    const parent = await findTicketByReference(reference);
+
+    if (parent.project.toString() !== ticket.project.toString()) {
+      throw new ApiError('Parent ticket must belong to the same project', 400);
+    }
+
+    if (await Ticket.wouldCreateParentCycle(ticket._id, parent._id)) {
+      throw new ApiError('A ticket cannot be a subtask of itself or of its own subtasks', 400);
+    }
+
+    ticket.parent = parent._id;
+  } else {
+    ticket.parent = null;
+  }
+
+  ticket.modifiedBy = req.user._id;
+  await ticket.save();
+
+  const links = await ticket.getLinkGroups(req.user);
+
+  res.json({
+    success: true,
+    message: reference ? 'Parent ticket set successfully' : 'Parent ticket removed successfully',
+    data: { links }
+  });
+});
+
+// Get links of a ticket grouped by type
+const getTicketLinks = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+  const links = await ticket.getLinkGroups(req.user);
+
+  res.json({
+    success: true,
+    data: { links }
+  });
+});
+
+module.exports = {
+  addTicketLink,
+  removeTicketLink,
+  setTicketParent,
+  getTicketLinks
+};
@@ -1,11 +1,14 @@
 const Project = require('../models/Project');
 const User = require('../models/User');
+const Team = require('../models/Team');
 const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
 const emailService = require('../utils/emailService');
+const { recordAuditEvent, auditTarget } = require('../utils/auditLog');
+const { ensureEmailVerified } = require('../utils/accountPolicy');
 
 // Create a new project (Admin only)
 const createProject = asyncHandler(async (req, res) => {
-  const { name, description, status, priority, endDate } = req.body;
+  const { name, key, description, status, priority, endDate } = req.body;
 
   // Check if project name already exists
   const existingProject = await Project.findOne({ name });
@@ -13,8 +16,17 @@ const createProject = asyncHandler(async (req, res) => {
     throw new ApiError('Project with this name already exists', 400);
   }
 
+  // Check if project key is already used (now or previously)
+  if (key) {
+    const keyTaken = await Project.exists({ $or: [{ key }, { previousKeys: key }] });
+    if (keyTaken) {
+      throw new ApiError(`Project key ${key} is already in use`, 400);
+    }
+  }
+
   const project = await Project.create({
     name,
+    key: key || await Project.generateUniqueKey(name),
     description,
     status: status || 'ACTIVE',
     priority: priority || 'MEDIUM',
@@ -51,10 +63,7 @@ const getAllProjects = asyncHandler(async (req, res) => {
 
   // For non-admin users, only show projects they have access to
   if (req.user.role !== 'ADMIN') {
-    query.$or = [
-      { createdBy: req.user._id },
-      { 'members.user': req.user._id }
-    ];
+    query.$or = Project.accessQuery(req.user._id).$or;
   }
 
   if (search) {
@@ -86,6 +95,7 @@ const getAllProjects = asyncHandler(async (req, res) => {
   const projects = await Project.find(query)
     .populate('createdBy', 'name email')
     .populate('members.user', 'name email')
+    .populate('teams.team', 'name')
     .populate('ticketCount')
     .skip(skip)
     .limit(parseInt(limit))
@@ -112,6 +122,7 @@ const getProjectById = asyncHandler(async (req, res) => {
   const project = await Project.findOne({ _id: id, isActive: true })
     .populate('createdBy', 'name email role')
     .populate('members.user', 'name email role')
+    .populate('teams.team', 'name description')
     .populate('ticketCount');
 
   if (!project) {
@@ -156,6 +167,25 @@ const updateProject = asyncHandler(async (req, res) => {
     }
   }
 
+  // Renaming the key keeps the old one resolvable for existing ticket keys
+  const previousKey = project.key;
+  const isKeyChange = updates.key && updates.key !== previousKey;
+  if (isKeyChange) {
+    const keyTaken = await Project.exists({
+      _id: { $ne: id },
+      $or: [{ key: updates.key }, { previousKeys: updates.key }]
+    });
+    if (keyTaken) {
+      throw new ApiError(`Project key ${updates.key} is already in use`, 400);
+    }
+
+    if (previousKey) {
+      project.previousKeys.addToSet(previousKey);
+    }
+    project.previousKeys.pull(updates.key);
+    project.key = updates.key;
+  }
+
   // Update allowed fields
   const allowedUpdates = ['name', 'description', 'status', 'priority', 'endDate'];
   allowedUpdates.forEach(field => {
@@ -165,6 +195,17 @@ const updateProject = asyncHandler(async (req, res) => {
   });
 
   await project.save();
+
+  // Rewrite stored ticket keys to the new prefix, saving each ticket so the change lands in its history
+  if (isKeyChange) {
+    const Ticket = require('../models/Ticket');
+    const tickets = await Ticket.find({ project: project._id, number: { $exists: true } });
+    for (const ticket of tickets) {
+      ticket.key = `${project.key}-${ticket.number}`;
+      ticket.modifiedBy = req.user._id;
+      await ticket.save();
+    }
+  }
   await project.populate('createdBy', 'name email');
 
   res.json({
@@ -190,10 +231,18 @@ const deleteProject = asyncHandler(async (req, res) => {
 
   if (hasTickets) {
     // Soft delete to maintain data integrity
+    const previousStatus = project.status;
     project.isActive = false;
     project.status = 'ARCHIVED';
     await project.save();
 
+    await recordAuditEvent(req, {
+      action: 'PROJECT_ARCHIVED',
+      target: auditTarget('PROJECT', project),
+      before: { status: previousStatus, isActive: true },
+      after: { status: 'ARCHIVED', isActive: false }
+    });
+
     return res.json({
       success: true,
       message: 'Project archived successfully (has associated tickets)',
@@ -204,6 +253,12 @@ const deleteProject = asyncHandler(async (req, res) => {
   // Hard delete if no tickets
   await Project.findByIdAndDelete(id);
 
+  await recordAuditEvent(req, {
+    action: 'PROJECT_DELETED',
+    target: auditTarget('PROJECT', project),
+    before: { name: project.name, key: project.key, status: project.status }
+  });
+
   res.json({
     success: true,
     message: 'Project deleted successfully'
@@ -232,6 +287,8 @@ const addProjectMember = asyncHandler(async (req, res) => {
     throw new ApiError('User not found or inactive', 404);
   }
 
+  await ensureEmailVerified(user, 'join projects');
+
   // Check if user is already a member
   const existingMember = project.members.find(member => 
     member.user.toString() === userId
@@ -248,6 +305,13 @@ const addProjectMember = asyncHandler(async (req, res) => {
   });
 
   await project.save();
+
+  await recordAuditEvent(req, {
+    action: 'PROJECT_MEMBER_ADDED',
+    target: auditTarget('PROJECT', project),
+    after: { user: user._id, email: user.email, role }
+  });
+
   await project.populate('members.user', 'name email');
 
   // Send invitation email
@@ -284,9 +348,15 @@ const removeProjectMember = asyncHandler(async (req, res) => {
     throw new ApiError('User is not a member of this project', 404);
   }
 
-  project.members.splice(memberIndex, 1);
+  const [removedMember] = project.members.splice(memberIndex, 1);
   await project.save();
 
+  await recordAuditEvent(req, {
+    action: 'PROJECT_MEMBER_REMOVED',
+    target: auditTarget('PROJECT', project),
+    before: { user: removedMember.user, role: removedMember.role }
+  });
+
   res.json({
     success: true,
     message: 'Member removed from project successfully'
@@ -322,8 +392,16 @@ const updateMemberRole = asyncHandler(async (req, res) => {
     throw new ApiError('User is not a member of this project', 404);
   }
 
+  const previousRole = member.role;
   member.role = role;
   await project.save();
+
+  await recordAuditEvent(req, {
+    action: 'PROJECT_MEMBER_ROLE_CHANGED',
+    target: auditTarget('PROJECT', project),
+    before: { user: member.user, role: previousRole },
+    after: { user: member.user, role }
+  });
   await project.populate('members.user', 'name email');
 
   res.json({
@@ -333,9 +411,238 @@ const updateMemberRole = asyncHandler(async (req, res) => {
   });
 });
 
+// Grant a team a role on a project (Admin or project creator)
+const addProjectTeam = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { teamId, role = 'CONTRIBUTOR' } = req.body;
+
+  const project = await Project.findOne({ _id: id, isActive: true });
+
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  // Check permissions
+  if (req.user.role !== 'ADMIN' && project.createdBy.toString() !== req.user._id.toString()) {
+    throw new ApiError('Access denied. Only admin or project creator can add teams', 403);
+  }
+
+  const team = await Team.findById(teamId);
+  if (!team) {
+    throw new ApiError('Team not found', 404);
+  }
+
+  if (project.teams.some(grant => grant.team.toString() === teamId)) {
+    throw new ApiError('Team already has access to this project', 400);
+  }
+
+  project.teams.push({
+    team: team._id,
+    role,
+    members: team.members.map(member => member.user),
+    addedAt: new Date()
+  });
+
+  await project.save();
+
+  await recordAuditEvent(req, {
+    action: 'PROJECT_TEAM_ADDED',
+    target: auditTarget('PROJECT', project),
+    after: { team: team._id, name: team.name, role }
+  });
+
+  await project.populate('teams.team', 'name');
+
+  res.json({
+    success: true,
+    message: 'Team added to project successfully',
+    data: { project }
+  });
+});
+
+// Remove a team's access to a project
+const removeProjectTeam = asyncHandler(async (req, res) => {
+  const { id, teamId } = req.params;
+
+  const project = await Project.findOne({ _id: id, isActive: true });
+
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  // Check permissions
+  if (req.user.role !== 'ADMIN' && project.createdBy.toString() !== req.user._id.toString()) {
+    throw new ApiError('Access denied. Only admin or project creator can remove teams', 403);
+  }
+
+  const grantIndex = project.teams.findIndex(grant => grant.team.toString() === teamId);
+
+  if (grantIndex === -1) {
+    throw new ApiError('Team does not have access to this project', 404);
+  }
+
+  const [removedGrant] = project.teams.splice(grantIndex, 1);
+  await project.save();
+
+  await recordAuditEvent(req, {
+    action: 'PROJECT_TEAM_REMOVED',
+    target: auditTarget('PROJECT', project),
+    before: { team: removedGrant.team, role: removedGrant.role }
+  });
+
+  res.json({
+    success: true,
+    message: 'Team removed from project successfully'
+  });
+});
+
+// Update the role a team has on a project
+const updateProjectTeamRole = asyncHandler(async (req, res) => {
+  const { id, teamId } = req.params;
+  const { role } = req.body;
+
+  const project = await Project.findOne({ _id: id, isActive: true });
+
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  // Check permissions
+  if (req.user.role !== 'ADMIN' && project.createdBy.toString() !== req.user._id.toString()) {
+    throw new ApiError('Access denied. Only admin or project creator can update team roles', 403);
+  }
+
+  const grant = project.teams.find(grant => grant.team.toString() === teamId);
+
+  if (!grant) {
+    throw new ApiError('Team does not have access to this project', 404);
+  }
+
+  const previousRole = grant.role;
+  grant.role = role;
+  await project.save();
+
+  await recordAuditEvent(req, {
+    action: 'PROJECT_TEAM_ROLE_CHANGED',
+    target: auditTarget('PROJECT', project),
+    before: { team: grant.team, role: previousRole },
+    after: { team: grant.team, role }
+  });
+  await project.populate('teams.team', 'name');
+
+  res.json({
+    success: true,
+    message: 'Team role updated successfully',
+    data: { project }
+  });
+});
+
+// Get the ticket workflow of a project
+const getProjectWorkflow = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const project = await Project.findOne({ _id: id, isActive: true });
+
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  // Check access permissions
+  if (req.user.role !== 'ADMIN' && !project.hasAccess(req.user._id)) {
+    throw new ApiError('Access denied to this project', 403);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      workflow: project.getWorkflow(),
+      isDefault: project.getWorkflow() === Project.DEFAULT_WORKFLOW
+    }
+  });
+});
+
+// Replace the ticket workflow of a project (Admin or project creator)
+const updateProjectWorkflow = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { statuses, initialStatus, transitions } = req.body;
+
+  const project = await Project.findOne({ _id: id, isActive: true });
+
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  // Check permissions (admin or creator)
+  if (req.user.role !== 'ADMIN' && project.createdBy.toString() !== req.user._id.toString()) {
+    throw new ApiError('Access denied. Only admin or project creator can update the workflow', 403);
+  }
+
+  const statusNames = statuses.map(status => status.name);
+  if (new Set(statusNames).size !== statusNames.length) {
+    throw new ApiError('Workflow status names must be unique', 400);
+  }
+
+  if (!statusNames.includes(initialStatus)) {
+    throw new ApiError(`Initial status ${initialStatus} is not one of the workflow statuses`, 400);
+  }
+
+  const transitionKeys = new Set();
+  transitions.forEach(transition => {
+    if (!statusNames.includes(transition.from) || !statusNames.includes(transition.to)) {
+      throw new ApiError(`Transition ${transition.from} -> ${transition.to} references an unknown status`, 400);
+    }
+    if (transition.from === transition.to) {
+      throw new ApiError(`Transition ${transition.from} -> ${transition.to} must change the status`, 400);
+    }
+    const key = `${transition.from}->${transition.to}`;
+    if (transitionKeys.has(key)) {
+      throw new ApiError(`Transition ${key} is defined more than once`, 400);
+    }
+    transitionKeys.add(key);
+  });
+
+  // Existing tickets must still map onto a workflow status
+  const Ticket = require('../models/Ticket');
+  const statusesInUse = await Ticket.distinct('status', { project: project._id });
+  const orphanedStatuses = statusesInUse.filter(status => !statusNames.includes(status));
+  if (orphanedStatuses.length > 0) {
+    throw new ApiError(`Tickets still use statuses missing from the new workflow: ${orphanedStatuses.join(', ')}`, 400);
+  }
+
+  const previousCategories = new Map(project.getWorkflow().statuses.map(status => [status.name, status.category]));
+
+  project.workflow = {
+    statuses: statuses.map(({ name, category }) => ({ name, category })),
+    initialStatus,
+    transitions: transitions.map(({ from, to, requiredRole, requiredFields }) => ({
+      from,
+      to,
+      requiredRole: requiredRole || 'CONTRIBUTOR',
+      requiredFields: requiredFields || []
+    }))
+  };
+  // WIP limits of removed statuses no longer apply
+  project.wipLimits = project.wipLimits.filter(entry => statusNames.includes(entry.status));
+
+  await project.save();
+
+  // Tickets store their status category; move them along with statuses that changed category
+  const recategorized = statuses.filter(({ name, category }) => previousCategories.get(name) !== category);
+  for (const { name, category } of recategorized) {
+    await Ticket.updateMany({ project: project._id, status: name }, { $set: { statusCategory: category } });
+  }
+
+  res.json({
+    success: true,
+    message: 'Project workflow updated successfully',
+    data: { workflow: project.getWorkflow() }
+  });
+});
+
 // Get project statistics
 const getProjectStats = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { component: componentId } = req.query;
 
   const project = await Project.findOne({ _id: id, isActive: true });
 
@@ -348,6 +655,17 @@ const getProjectStats = asyncHandler(async (req, res) => {
     throw new ApiError('Access denied to this project', 403);
   }
 
+  // Optionally narrow every count to a single component
+  const ticketFilter = { project: project._id };
+  let component = null;
+  if (componentId) {
+    component = project.findComponent(componentId);
+    if (!component) {
+      throw new ApiError('Component not found', 404);
+    }
+    ticketFilter.components = component._id;
+  }
+
   // Get ticket statistics
   const Ticket = require('../models/Ticket');
   
@@ -359,19 +677,30 @@ const getProjectStats = asyncHandler(async (req, res) => {
     closedTickets,
     highPriorityTickets,
     ticketsByPriority,
+    ticketsByStatus,
+    ticketsByComponent,
     recentTickets
   ] = await Promise.all([
-    Ticket.countDocuments({ project: id }),
-    Ticket.countDocuments({ project: id, status: 'OPEN' }),
-    Ticket.countDocuments({ project: id, status: 'IN_PROGRESS' }),
-    Ticket.countDocuments({ project: id, status: 'RESOLVED' }),
-    Ticket.countDocuments({ project: id, status: 'CLOSED' }),
-    Ticket.countDocuments({ project: id, priority: 'HIGH' }),
+    Ticket.countDocuments(ticketFilter),
+    Ticket.countDocuments({ ...ticketFilter, ...Ticket.statusCategoryFilter('OPEN') }),
+    Ticket.countDocuments({ ...ticketFilter, ...Ticket.statusCategoryFilter('IN_PROGRESS') }),
+    Ticket.countDocuments({ ...ticketFilter, ...Ticket.statusCategoryFilter('RESOLVED') }),
+    Ticket.countDocuments({ ...ticketFilter, ...Ticket.statusCategoryFilter('CLOSED') }),
+    Ticket.countDocuments({ ...ticketFilter, priority: 'HIGH' }),
     Ticket.aggregate([
-      { $match: { project: project._id } },
+      { $match: ticketFilter },
       { $group: { _id: '$priority', count: { $sum: 1 } } }
     ]),
-    Ticket.find({ project: id })
+    Ticket.aggregate([
+      { $match: ticketFilter },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Ticket.aggregate([
+      { $match: { project: project._id } },
+      { $unwind: '$components' },
+      { $group: { _id: '$components', count: { $sum: 1 } } }
+    ]),
+    Ticket.find(ticketFilter)
       .sort({ createdAt: -1 })
       .limit(5)
       .populate('assignedTo', 'name')
@@ -383,8 +712,9 @@ const getProjectStats = asyncHandler(async (req, res) => {
       id: project._id,
       name: project.name,
       status: project.status,
-      memberCount: project.members.length
+      memberCount: project.getMemberUserIds().length
     },
+    component: component ? { id: component._id, name: component.name } : null,
     tickets: {
       total: totalTickets,
       open: openTickets,
@@ -396,6 +726,16 @@ const getProjectStats = asyncHandler(async (req, res) => {
         acc[item._id] = item.count;
         return acc;
       }, {}),
+      byStatus: ticketsByStatus.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {}),
+      // Keyed by component name; deleted components are left out
+      byComponent: ticketsByComponent.reduce((acc, item) => {
+        const match = project.findComponent(item._id);
+        if (match) acc[match.name] = item.count;
+        return acc;
+      }, {}),
       recent: recentTickets
     }
   };
@@ -415,5 +755,10 @@ module.exports = {
   addProjectMember,
   removeProjectMember,
   updateMemberRole,
+  addProjectTeam,
+  removeProjectTeam,
+  updateProjectTeamRole,
+  getProjectWorkflow,
+  updateProjectWorkflow,
   getProjectStats
 };
\ No newline at end of file
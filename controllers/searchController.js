@@ -0,0 +1,92 @@
+const Ticket = require('../models/Ticket');
+const Project = require('../models/Project');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const {
+  parseSearchQuery,
+  buildFilterQuery,
+  rankTickets,
+  buildHighlights
+} = require('../utils/ticketSearch');
+
+// Search tickets and comments with relevance ranking and field filters
+const searchTickets = asyncHandler(async (req, res) => {
+  const { q = '', page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const parsed = parseSearchQuery(q);
+  const hasText = parsed.terms.length + parsed.phrases.length + parsed.prefixes.length > 0;
+  if (!hasText && Object.keys(parsed.filters).length === 0) {
+    throw new ApiError('Search query is empty', 400);
+  }
+
+  const query = await buildFilterQuery(parsed.filters, req.user);
+
+  // Filter by project access for non-admin users
+  if (req.user.role !== 'ADMIN') {
+    const accessibleIds = await Project.findAccessibleProjectIds(req.user._id);
+
+    if (query.project && !accessibleIds.some(id => id.toString() === query.project.toString())) {
+      throw new ApiError('Access denied to this project', 403);
+    }
+    if (!query.project) {
+      query.project = { $in: accessibleIds };
+    }
+  }
+
+  let total;
+  let results;
+
+  if (hasText) {
+    const ranked = await rankTickets(parsed, query);
+    total = ranked.length;
+
+    const pageResults = ranked.slice(skip, skip + parseInt(limit));
+    const tickets = await Ticket.find({ _id: { $in: pageResults.map(result => result.id) } })
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('project', 'name key');
+
+    results = pageResults
+      .map(result => ({
+        ticket: tickets.find(ticket => ticket._id.toString() === result.id),
+        score: result.score
+      }))
+      .filter(result => result.ticket);
+  } else {
+    // Filters only: newest first
+    total = await Ticket.countDocuments(query);
+    const tickets = await Ticket.find(query)
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('project', 'name key')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    results = tickets.map(ticket => ({ ticket, score: null }));
+  }
+
+  const highlights = hasText ? await buildHighlights(results.map(result => result.ticket), parsed) : new Map();
+  results = results.map(result => ({
+    ...result,
+    highlights: highlights.get(result.ticket._id.toString()) || []
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      results,
+      query: parsed,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
+module.exports = {
+  searchTickets
+};
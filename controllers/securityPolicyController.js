@@ -0,0 +1,54 @@
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { recordAuditEvent } = require('../utils/auditLog');
+
+// Get the security policy (Admin only)
+const getSecurityPolicy = asyncHandler(async (req, res) => {
+  const policy = await SecurityPolicy.getCurrent();
+
+  res.json({
+    success: true,
+    data: { policy }
+  });
+});
+
+// Update the security policy (Admin only)
+const updateSecurityPolicy = asyncHandler(async (req, res) => {
+  const { requireTwoFactorForAdmins, requireVerifiedEmail } = req.body;
+
+  const policy = await SecurityPolicy.findOneAndUpdate({}, {}, { upsert: true, new: true, setDefaultsOnInsert: true });
+  const before = {
+    requireTwoFactorForAdmins: policy.requireTwoFactorForAdmins,
+    requireVerifiedEmail: policy.requireVerifiedEmail
+  };
+
+  if (requireTwoFactorForAdmins !== undefined) {
+    policy.requireTwoFactorForAdmins = requireTwoFactorForAdmins;
+  }
+  if (requireVerifiedEmail !== undefined) {
+    policy.requireVerifiedEmail = requireVerifiedEmail;
+  }
+  policy.updatedBy = req.user._id;
+  await policy.save();
+
+  await recordAuditEvent(req, {
+    action: 'SECURITY_POLICY_CHANGED',
+    target: { type: 'POLICY', id: policy._id, name: 'Security policy' },
+    before,
+    after: {
+      requireTwoFactorForAdmins: policy.requireTwoFactorForAdmins,
+      requireVerifiedEmail: policy.requireVerifiedEmail
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Security policy updated successfully',
+    data: { policy }
+  });
+});
+
+module.exports = {
+  getSecurityPolicy,
+  updateSecurityPolicy
+};
@@ -0,0 +1,104 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+
+// Exchange a refresh token for a new access token and refresh token
+const refreshSession = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const { session, refreshToken: nextRefreshToken, reuseDetected } = await Session.rotate(refreshToken, req);
+
+  if (reuseDetected) {
+    throw new ApiError('Refresh token has already been used. The session has been revoked, please log in again.', 401);
+  }
+
+  if (!session) {
+    throw new ApiError('Invalid or expired refresh token', 401);
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await session.revoke();
+    throw new ApiError('Account is deactivated. Please contact administrator.', 401);
+  }
+
+  res.json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      token: user.generateAuthToken(session._id),
+      refreshToken: nextRefreshToken
+    }
+  });
+});
+
+// Log out of the current session
+const logoutUser = asyncHandler(async (req, res) => {
+  await req.authSession.revoke('LOGOUT');
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+// List active sessions of the current user
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.authSession._id.toString()
+      }))
+    }
+  });
+});
+
+// Revoke one session of the current user
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const session = await Session.findActive(sessionId);
+
+  if (!session || session.user.toString() !== req.user._id.toString()) {
+    throw new ApiError('Session not found', 404);
+  }
+
+  await session.revoke();
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+// Revoke every session of the current user, including this one
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const result = await Session.revokeAllForUser(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'All sessions revoked successfully',
+    data: { revoked: result.modifiedCount }
+  });
+});
+
+module.exports = {
+  refreshSession,
+  logoutUser,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
+};
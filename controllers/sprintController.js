@@ -0,0 +1,375 @@
+const Sprint = require('../models/Sprint');
+const Ticket = require('../models/Ticket');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const { findTicketByReference } = require('../utils/ticketAccess');
+const { findAccessibleProject } = require('../utils/projectAccess');
+const { buildBoard } = require('../utils/board');
+
+// Default sprint length used when a sprint is started without an end date
+const SPRINT_LENGTH_DAYS = parseInt(process.env.SPRINT_LENGTH_DAYS) || 14;
+
+// Load a sprint belonging to a project
+const findProjectSprint = async (project, sprintId) => {
+  const sprint = await Sprint.findOne({ _id: sprintId, project: project._id });
+
+  if (!sprint) {
+    throw new ApiError('Sprint not found', 404);
+  }
+
+  return sprint;
+};
+
+// Reject an end date that is not after the start date
+const checkSprintDates = (startDate, endDate) => {
+  if (startDate && endDate && new Date(endDate) <= new Date(startDate)) {
+    throw new ApiError('Sprint end date must be after its start date', 400);
+  }
+};
+
+// Create a sprint in a project (project MANAGER or above)
+const createSprint = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, goal, startDate, endDate } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+
+  checkSprintDates(startDate, endDate);
+
+  const sprint = await Sprint.create({
+    project: project._id,
+    name,
+    goal,
+    startDate,
+    endDate,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Sprint created successfully',
+    data: { sprint }
+  });
+});
+
+// List the sprints of a project
+const getSprints = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { state } = req.query;
+
+  const project = await findAccessibleProject(id, req.user, 'VIEWER');
+
+  const query = { project: project._id };
+  if (state) query.state = state;
+
+  const sprints = await Sprint.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ startDate: 1, createdAt: 1 });
+
+  // Ticket counts per sprint (total and done)
+  const counts = await Ticket.aggregate([
+    { $match: { sprint: { $in: sprints.map(sprint => sprint._id) } } },
+    {
+      $group: {
+        _id: '$sprint',
+        total: { $sum: 1 },
+        done: { $sum: { $cond: [{ $in: ['$statusCategory', ['RESOLVED', 'CLOSED']] }, 1, 0] } }
+      }
+    }
+  ]);
+  const countsBySprint = new Map(counts.map(count => [count._id.toString(), count]));
+
+  res.json({
+    success: true,
+    data: {
+      sprints: sprints.map(sprint => {
+        const count = countsBySprint.get(sprint._id.toString());
+        return {
+          ...sprint.toObject(),
+          ticketCount: count ? count.total : 0,
+          doneCount: count ? count.done : 0
+        };
+      })
+    }
+  });
+});
+
+// Get the active sprint of a project as a board (tickets grouped by status)
+const getActiveSprint = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'VIEWER');
+
+  const sprint = await Sprint.findActive(project._id);
+  if (!sprint) {
+    throw new ApiError('This project has no active sprint', 404);
+  }
+
+  const tickets = await Ticket.find({ sprint: sprint._id })
+    .populate('assignedTo', 'name email')
+    .select('key title status statusCategory priority type assignedTo estimatedHours rank createdAt');
+
+  res.json({
+    success: true,
+    data: {
+      sprint,
+      columns: buildBoard(project, tickets)
+    }
+  });
+});
+
+// Get a sprint with its tickets
+const getSprintById = asyncHandler(async (req, res) => {
+  const { id, sprintId } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'VIEWER');
+  const sprint = await findProjectSprint(project, sprintId);
+  await sprint.populate('createdBy completedBy', 'name email');
+
+  const tickets = await Ticket.find({ sprint: sprint._id })
+    .populate('assignedTo', 'name email')
+    .select('key title status statusCategory priority type assignedTo estimatedHours')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: { sprint, tickets }
+  });
+});
+
+// Update sprint details (project MANAGER or above, not once completed)
+const updateSprint = asyncHandler(async (req, res) => {
+  const { id, sprintId } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  const sprint = await findProjectSprint(project, sprintId);
+
+  if (sprint.state === 'COMPLETED') {
+    throw new ApiError('Completed sprints cannot be changed', 400);
+  }
+
+  const allowedUpdates = ['name', 'goal', 'startDate', 'endDate'];
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      sprint[field] = req.body[field];
+    }
+  });
+
+  checkSprintDates(sprint.startDate, sprint.endDate);
+
+  await sprint.save();
+
+  res.json({
+    success: true,
+    message: 'Sprint updated successfully',
+    data: { sprint }
+  });
+});
+
+// Delete a planned sprint; its tickets go back to the backlog
+const deleteSprint = asyncHandler(async (req, res) => {
+  const { id, sprintId } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  const sprint = await findProjectSprint(project, sprintId);
+
+  if (sprint.state !== 'PLANNED') {
+    throw new ApiError('Only planned sprints can be deleted', 400);
+  }
+
+  const tickets = await Ticket.find({ sprint: sprint._id });
+  for (const ticket of tickets) {
+    ticket.sprint = null;
+    ticket.modifiedBy = req.user._id;
+    await ticket.save();
+  }
+
+  await Sprint.findByIdAndDelete(sprint._id);
+
+  res.json({
+    success: true,
+    message: 'Sprint deleted successfully',
+    data: { returnedToBacklog: tickets.length }
+  });
+});
+
+// Add tickets (IDs or keys) to a sprint (project CONTRIBUTOR or above)
+const addSprintTickets = asyncHandler(async (req, res) => {
+  const { id, sprintId } = req.params;
+  const { ticketIds } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'CONTRIBUTOR');
+  const sprint = await findProjectSprint(project, sprintId);
+
+  if (sprint.state === 'COMPLETED') {
+    throw new ApiError('Tickets cannot be added to a completed sprint', 400);
+  }
+
+  // Resolve everything first so a bad reference changes nothing
+  const tickets = [];
+  for (const reference of ticketIds) {
+    const ticket = await findTicketByReference(reference);
+    if (ticket.project.toString() !== project._id.toString()) {
+      throw new ApiError(`Ticket ${ticket.key || reference} does not belong to this project`, 400);
+    }
+    tickets.push(ticket);
+  }
+
+  let added = 0;
+  for (const ticket of tickets) {
+    if (ticket.sprint && ticket.sprint.toString() === sprint._id.toString()) continue;
+
+    ticket.sprint = sprint._id;
+    ticket.modifiedBy = req.user._id;
+    await ticket.save();
+    added++;
+  }
+
+  res.json({
+    success: true,
+    message: `${added} ticket(s) added to sprint`,
+    data: { sprint, added }
+  });
+});
+
+// Remove a ticket from a sprint, returning it to the backlog
+const removeSprintTicket = asyncHandler(async (req, res) => {
+  const { id, sprintId, ticketId } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'CONTRIBUTOR');
+  const sprint = await findProjectSprint(project, sprintId);
+
+  if (sprint.state === 'COMPLETED') {
+    throw new ApiError('Tickets cannot be removed from a completed sprint', 400);
+  }
+
+  const ticket = await Ticket.findOne({ _id: ticketId, sprint: sprint._id });
+  if (!ticket) {
+    throw new ApiError('Ticket is not in this sprint', 404);
+  }
+
+  ticket.sprint = null;
+  ticket.modifiedBy = req.user._id;
+  await ticket.save();
+
+  res.json({
+    success: true,
+    message: 'Ticket removed from sprint successfully'
+  });
+});
+
+// Start a planned sprint (one active sprint per project)
+const startSprint = asyncHandler(async (req, res) => {
+  const { id, sprintId } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  const sprint = await findProjectSprint(project, sprintId);
+
+  if (sprint.state !== 'PLANNED') {
+    throw new ApiError('Only planned sprints can be started', 400);
+  }
+
+  const active = await Sprint.findActive(project._id);
+  if (active) {
+    throw new ApiError(`Sprint "${active.name}" is already active in this project. Complete it first`, 400);
+  }
+
+  const now = new Date();
+  sprint.state = 'ACTIVE';
+  sprint.startedAt = now;
+  if (!sprint.startDate) sprint.startDate = now;
+  if (!sprint.endDate) {
+    sprint.endDate = new Date(sprint.startDate.getTime() + SPRINT_LENGTH_DAYS * 24 * 60 * 60 * 1000);
+  }
+  checkSprintDates(sprint.startDate, sprint.endDate);
+
+  try {
+    await sprint.save();
+  } catch (error) {
+    // Another sprint was started at the same time
+    if (error.code === 11000) {
+      throw new ApiError('Another sprint is already active in this project', 400);
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Sprint started successfully',
+    data: { sprint }
+  });
+});
+
+// Complete the active sprint, carrying unfinished tickets to the backlog or another sprint
+const completeSprint = asyncHandler(async (req, res) => {
+  const { id, sprintId } = req.params;
+  const { carryOverTo = 'BACKLOG' } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  const sprint = await findProjectSprint(project, sprintId);
+
+  if (sprint.state !== 'ACTIVE') {
+    throw new ApiError('Only the active sprint can be completed', 400);
+  }
+
+  // Resolve where unfinished tickets go
+  let targetSprint = null;
+  if (carryOverTo === 'NEXT') {
+    targetSprint = await Sprint.findNextPlanned(project._id, sprint._id);
+    if (!targetSprint) {
+      throw new ApiError('There is no planned sprint to carry tickets over to', 400);
+    }
+  } else if (carryOverTo !== 'BACKLOG') {
+    targetSprint = await Sprint.findOne({ _id: carryOverTo, project: project._id, state: 'PLANNED' });
+    if (!targetSprint) {
+      throw new ApiError('Carry-over sprint must be a planned sprint of this project', 400);
+    }
+  }
+
+  const [unfinished, completedIds] = await Promise.all([
+    Ticket.find({ sprint: sprint._id, ...Ticket.openStatusFilter() }),
+    Ticket.find({
+      sprint: sprint._id,
+      $or: [{ status: { $in: ['RESOLVED', 'CLOSED'] } }, { statusCategory: { $in: ['RESOLVED', 'CLOSED'] } }]
+    }).distinct('_id')
+  ]);
+
+  for (const ticket of unfinished) {
+    ticket.sprint = targetSprint ? targetSprint._id : null;
+    ticket.modifiedBy = req.user._id;
+    await ticket.save();
+  }
+
+  sprint.state = 'COMPLETED';
+  sprint.completedAt = new Date();
+  sprint.completedBy = req.user._id;
+  sprint.completedTickets = completedIds;
+  sprint.carriedOverTickets = unfinished.map(ticket => ticket._id);
+  sprint.carriedOverTo = targetSprint ? targetSprint._id : null;
+  await sprint.save();
+
+  res.json({
+    success: true,
+    message: 'Sprint completed successfully',
+    data: {
+      sprint,
+      summary: {
+        completed: completedIds.length,
+        carriedOver: unfinished.length,
+        carriedOverTo: targetSprint ? { _id: targetSprint._id, name: targetSprint.name } : 'BACKLOG'
+      }
+    }
+  });
+});
+
+module.exports = {
+  createSprint,
+  getSprints,
+  getActiveSprint,
+  getSprintById,
+  updateSprint,
+  deleteSprint,
+  addSprintTickets,
+  removeSprintTicket,
+  startSprint,
+  completeSprint
+};
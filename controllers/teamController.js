@@ -0,0 +1,286 @@
+const Team = require('../models/Team');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const { recordAuditEvent, auditTarget } = require('../utils/auditLog');
+const { ensureEmailVerified } = require('../utils/accountPolicy');
+
+// Load a team the current user can see (admin or team member)
+const findVisibleTeam = async (id, user) => {
+  const team = await Team.findById(id);
+
+  if (!team) {
+    throw new ApiError('Team not found', 404);
+  }
+
+  if (user.role !== 'ADMIN' && !team.findMember(user._id)) {
+    throw new ApiError('Access denied to this team', 403);
+  }
+
+  return team;
+};
+
+// Load a team the current user may manage (admin or team lead)
+const findManageableTeam = async (id, user) => {
+  const team = await Team.findById(id);
+
+  if (!team) {
+    throw new ApiError('Team not found', 404);
+  }
+
+  if (!team.canManage(user)) {
+    throw new ApiError('Access denied. Only admin or team lead can manage this team', 403);
+  }
+
+  return team;
+};
+
+// Create a new team (Admin only)
+const createTeam = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  const existingTeam = await Team.findOne({ name });
+  if (existingTeam) {
+    throw new ApiError('Team with this name already exists', 400);
+  }
+
+  const team = await Team.create({
+    name,
+    description,
+    createdBy: req.user._id
+  });
+
+  await recordAuditEvent(req, {
+    action: 'TEAM_CREATED',
+    target: auditTarget('TEAM', team),
+    after: { name: team.name }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Team created successfully',
+    data: { team }
+  });
+});
+
+// Get teams (admins see all teams, others the teams they belong to)
+const getTeams = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, search } = req.query;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const query = {};
+
+  if (req.user.role !== 'ADMIN') {
+    query['members.user'] = req.user._id;
+  }
+
+  if (search) {
+    query.name = { $regex: search, $options: 'i' };
+  }
+
+  const total = await Team.countDocuments(query);
+
+  const teams = await Team.find(query)
+    .populate('members.user', 'name email')
+    .sort({ name: 1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      teams,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Get team by ID, with the projects it has been granted
+const getTeamById = asyncHandler(async (req, res) => {
+  const team = await findVisibleTeam(req.params.id, req.user);
+  await team.populate('members.user', 'name email role');
+
+  const projects = await Project.find({ 'teams.team': team._id, isActive: true })
+    .select('name key teams.team teams.role');
+
+  res.json({
+    success: true,
+    data: {
+      team,
+      projects: projects.map(project => ({
+        _id: project._id,
+        name: project.name,
+        key: project.key,
+        role: project.teams.find(grant => grant.team.toString() === team._id.toString()).role
+      }))
+    }
+  });
+});
+
+// Update team details (Admin or team lead)
+const updateTeam = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  const team = await findManageableTeam(req.params.id, req.user);
+
+  if (name && name !== team.name) {
+    const existingTeam = await Team.findOne({ name, _id: { $ne: team._id } });
+    if (existingTeam) {
+      throw new ApiError('Team with this name already exists', 400);
+    }
+    team.name = name;
+  }
+
+  if (description !== undefined) {
+    team.description = description;
+  }
+
+  await team.save();
+
+  res.json({
+    success: true,
+    message: 'Team updated successfully',
+    data: { team }
+  });
+});
+
+// Delete a team and remove its project grants (Admin only)
+const deleteTeam = asyncHandler(async (req, res) => {
+  const team = await Team.findById(req.params.id);
+
+  if (!team) {
+    throw new ApiError('Team not found', 404);
+  }
+
+  await Project.updateMany(
+    { 'teams.team': team._id },
+    { $pull: { teams: { team: team._id } } }
+  );
+  await Team.findByIdAndDelete(team._id);
+
+  await recordAuditEvent(req, {
+    action: 'TEAM_DELETED',
+    target: auditTarget('TEAM', team),
+    before: { name: team.name, members: team.members.map(member => member.user) }
+  });
+
+  res.json({
+    success: true,
+    message: 'Team deleted successfully'
+  });
+});
+
+// Add a member to a team (Admin or team lead)
+const addTeamMember = asyncHandler(async (req, res) => {
+  const { userId, role = 'MEMBER' } = req.body;
+
+  const team = await findManageableTeam(req.params.id, req.user);
+
+  const user = await User.findOne({ _id: userId, isActive: true });
+  if (!user) {
+    throw new ApiError('User not found or inactive', 404);
+  }
+
+  // Team members get access to the team's projects
+  await ensureEmailVerified(user, 'join teams');
+
+  if (team.findMember(userId)) {
+    throw new ApiError('User is already a member of this team', 400);
+  }
+
+  team.members.push({
+    user: userId,
+    role,
+    joinedAt: new Date()
+  });
+
+  await team.save();
+
+  await recordAuditEvent(req, {
+    action: 'TEAM_MEMBER_ADDED',
+    target: auditTarget('TEAM', team),
+    after: { user: user._id, email: user.email, role }
+  });
+
+  await team.populate('members.user', 'name email');
+
+  res.json({
+    success: true,
+    message: 'Member added to team successfully',
+    data: { team }
+  });
+});
+
+// Remove a member from a team (Admin or team lead)
+const removeTeamMember = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+
+  const team = await findManageableTeam(id, req.user);
+
+  const member = team.findMember(userId);
+  if (!member) {
+    throw new ApiError('User is not a member of this team', 404);
+  }
+
+  team.members.splice(team.members.indexOf(member), 1);
+  await team.save();
+
+  await recordAuditEvent(req, {
+    action: 'TEAM_MEMBER_REMOVED',
+    target: auditTarget('TEAM', team),
+    before: { user: member.user, role: member.role }
+  });
+
+  res.json({
+    success: true,
+    message: 'Member removed from team successfully'
+  });
+});
+
+// Update a member's role in a team (Admin or team lead)
+const updateTeamMemberRole = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+  const { role } = req.body;
+
+  const team = await findManageableTeam(id, req.user);
+
+  const member = team.findMember(userId);
+  if (!member) {
+    throw new ApiError('User is not a member of this team', 404);
+  }
+
+  const previousRole = member.role;
+  member.role = role;
+  await team.save();
+
+  await recordAuditEvent(req, {
+    action: 'TEAM_MEMBER_ROLE_CHANGED',
+    target: auditTarget('TEAM', team),
+    before: { user: member.user, role: previousRole },
+    after: { user: member.user, role }
+  });
+  await team.populate('members.user', 'name email');
+
+  res.json({
+    success: true,
+    message: 'Team member role updated successfully',
+    data: { team }
+  });
+});
+
+module.exports = {
+  createTeam,
+  getTeams,
+  getTeamById,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember,
+  updateTeamMemberRole
+};
@@ -1,8 +1,29 @@
 const Ticket = require('../models/Ticket');
 const Project = require('../models/Project');
-const User = require('../models/User');
 const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
 const emailService = require('../utils/emailService');
+const { findTicketByReference } = require('../utils/ticketAccess');
+const { buildTicketQuery, findTicketPage } = require('../utils/ticketQuery');
+const { resolveCustomFields } = require('../utils/customFields');
+const { streamExport } = require('../utils/csv');
+const {
+  TICKET_EXPORT_SELECT,
+  customFieldKeys,
+  ticketCsvColumns,
+  toTicketExport,
+  toTicketCsvRow
+} = require('../utils/ticketExport');
+const {
+  validateStatusChange,
+  checkWipLimit,
+  findAssignableUser,
+  findProjectVersions,
+  findProjectComponents,
+  findComponentAssignee,
+  canDeleteTicket,
+  removeTicket,
+  moveTicket
+} = require('../utils/ticketOperations');
 
 // Create a new ticket
 const createTicket = asyncHandler(async (req, res) => {
@@ -15,7 +36,12 @@ const createTicket = asyncHandler(async (req, res) => {
     assignedTo,
     dueDate,
     estimatedHours,
-    tags
+    tags,
+    parent,
+    fixVersions,
+    affectsVersions,
+    components,
+    customFields
   } = req.body;
 
   // Verify project exists and user has access
@@ -29,33 +55,65 @@ const createTicket = asyncHandler(async (req, res) => {
     throw new ApiError('Access denied to this project', 403);
   }
 
-  // Verify assigned user exists and has access to project (if provided)
+  // Components must belong to the same project
+  const componentIds = components ? findProjectComponents(projectDoc, components) : [];
+
+  // Custom field values must match the project's definitions (defaults fill the gaps)
+  const customFieldValues = await resolveCustomFields(projectDoc, customFields);
+
+  // Verify assigned user exists and has access to project (if provided);
+  // otherwise fall back to the default assignee of the ticket's components
   let assignedUser = null;
   if (assignedTo) {
-    assignedUser = await User.findOne({ _id: assignedTo, isActive: true });
-    if (!assignedUser) {
-      throw new ApiError('Assigned user not found or inactive', 404);
-    }
+    assignedUser = await findAssignableUser(projectDoc, assignedTo, req.user);
+  } else if (componentIds.length > 0) {
+    assignedUser = await findComponentAssignee(projectDoc, componentIds);
+  }
 
-    // Check if assigned user has access to project
-    if (req.user.role !== 'ADMIN' && !projectDoc.hasAccess(assignedTo)) {
-      throw new ApiError('Assigned user does not have access to this project', 403);
+  // Subtasks must live in the same project as their parent
+  let parentTicket = null;
+  if (parent) {
+    parentTicket = await findTicketByReference(parent);
+    if (parentTicket.project.toString() !== projectDoc._id.toString()) {
+      throw new ApiError('Parent ticket must belong to the same project', 400);
     }
   }
 
+  // Versions must belong to the same project
+  const fixVersionIds = fixVersions ? await findProjectVersions(projectDoc, fixVersions) : [];
+  const affectsVersionIds = affectsVersions ? await findProjectVersions(projectDoc, affectsVersions) : [];
+
+  const initialStatus = projectDoc.getWorkflow().initialStatus;
+
+  // Projects created before ticket keys existed get one on first use
+  if (!projectDoc.key) {
+    projectDoc.key = await Project.generateUniqueKey(projectDoc.name);
+    await projectDoc.save();
+  }
+  const number = await Project.nextTicketNumber(projectDoc._id);
+
   const ticket = await Ticket.create({
+    key: `${projectDoc.key}-${number}`,
+    number,
     title,
     description,
+    status: initialStatus,
     priority,
     type: type || 'BUG',
     project,
-    assignedTo: assignedTo || null,
+    assignedTo: assignedUser ? assignedUser._id : null,
     createdBy: req.user._id,
     dueDate,
     estimatedHours,
     tags: tags || [],
+    parent: parentTicket ? parentTicket._id : null,
+    fixVersions: fixVersionIds,
+    affectsVersions: affectsVersionIds,
+    components: componentIds,
+    customFields: customFieldValues,
+    watchers: [req.user._id, assignedUser && assignedUser._id].filter(Boolean),
     statusHistory: [{
-      status: 'OPEN',
+      status: initialStatus,
       changedBy: req.user._id,
       changedAt: new Date(),
       comment: 'Ticket created'
@@ -66,11 +124,11 @@ const createTicket = asyncHandler(async (req, res) => {
   await ticket.populate([
     { path: 'assignedTo', select: 'name email' },
     { path: 'createdBy', select: 'name email' },
-    { path: 'project', select: 'name' }
+    { path: 'project', select: 'name key' }
   ]);
 
   // Send assignment email if ticket is assigned
-  if (assignedUser && assignedTo !== req.user._id.toString()) {
+  if (assignedUser && assignedUser._id.toString() !== req.user._id.toString()) {
     emailService.sendTicketAssignmentEmail(ticket, assignedUser, req.user).catch(() => {});
   }
 
@@ -81,84 +139,41 @@ const createTicket = asyncHandler(async (req, res) => {
   });
 });
 
-// Get all tickets with filtering
+// Get all tickets with filtering, paginated or exported as CSV/JSON
 const getAllTickets = asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 10,
-    status,
-    priority,
-    assignedTo,
-    project,
-    search,
-    sortBy = 'createdAt',
-    sortOrder = 'desc',
-    type
-  } = req.query;
-
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-
-  // Build query
-  let query = {};
-
-  // Filter by project access for non-admin users
-  if (req.user.role !== 'ADMIN') {
-    const accessibleProjects = await Project.find({
-      $or: [
-        { createdBy: req.user._id },
-        { 'members.user': req.user._id }
-      ],
-      isActive: true
-    }).select('_id');
-
-    query.project = { $in: accessibleProjects.map(p => p._id) };
-  }
-
-  // Apply filters
-  if (status) query.status = status;
-  if (priority) query.priority = priority;
-  if (type) query.type = type;
-  if (assignedTo) query.assignedTo = assignedTo;
-  if (project) {
-    query.project = query.project 
-      ? { $in: [project] }
-      : project;
+  const { page = 1, limit = 10, format } = req.query;
+
+  const { query, sort, rankedIds } = await buildTicketQuery(req.query, req.user);
+
+  // Exports contain every matching ticket, streamed from a cursor
+  if (format === 'csv' || format === 'json') {
+    const projects = await Project.find({ _id: { $in: await Ticket.distinct('project', query) } })
+      .select('name key customFields');
+    const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+    const customKeys = customFieldKeys(projects);
+    const projectOf = (ticket) => projectsById.get(ticket.project.toString());
+
+    const cursor = Ticket.find(query)
+      .select(TICKET_EXPORT_SELECT)
+      .sort(sort)
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .lean()
+      .cursor();
+
+    return streamExport(res, cursor, {
+      format,
+      filename: `tickets-${new Date().toISOString().slice(0, 10)}.${format}`,
+      columns: ticketCsvColumns(customKeys),
+      toRow: (ticket) => toTicketCsvRow(ticket, projectOf(ticket), customKeys),
+      toJson: (ticket) => toTicketExport(ticket, projectOf(ticket))
+    });
   }
-
-  if (search) {
-    query.$or = [
-      { title: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } }
-    ];
-  }
-
-  // Get total count for pagination
-  const total = await Ticket.countDocuments(query);
-
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
-
-  // Get tickets
-  const tickets = await Ticket.find(query)
-    .populate('assignedTo', 'name email')
-    .populate('createdBy', 'name email')
-    .populate('project', 'name')
-    .skip(skip)
-    .limit(parseInt(limit))
-    .sort(sort);
+  const result = await findTicketPage(query, sort, { page, limit, rankedIds });
 
   res.json({
     success: true,
-    data: {
-      tickets,
-      pagination: {
-        total,
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        limit: parseInt(limit)
-      }
-    }
+    data: result
   });
 });
 
@@ -169,8 +184,10 @@ const getTicketById = asyncHandler(async (req, res) => {
   const ticket = await Ticket.findById(id)
     .populate('assignedTo', 'name email role')
     .populate('createdBy', 'name email role')
-    .populate('project', 'name description')
-    .populate('statusHistory.changedBy', 'name email');
+    .populate('project', 'name key description components')
+    .populate('statusHistory.changedBy', 'name email')
+    .populate('watchers', 'name email')
+    .populate('fixVersions affectsVersions', 'name released releaseDate');
 
   if (!ticket) {
     throw new ApiError('Ticket not found', 404);
@@ -182,9 +199,48 @@ const getTicketById = asyncHandler(async (req, res) => {
     throw new ApiError('Access denied to this ticket', 403);
   }
 
+  const links = await ticket.getLinkGroups(req.user);
+
   res.json({
     success: true,
-    data: { ticket }
+    data: { ticket, links }
+  });
+});
+
+// Get ticket by key (e.g. API-123), redirecting keys of renamed projects
+const getTicketByKey = asyncHandler(async (req, res) => {
+  const { key } = req.params;
+
+  const found = await Ticket.findByKey(key);
+
+  if (!found) {
+    throw new ApiError('Ticket not found', 404);
+  }
+
+  // Check access before redirecting, and answer like an unknown key so keys of
+  // tickets in other projects can't be probed
+  const project = await Project.findById(found.project);
+  if (!project || (req.user.role !== 'ADMIN' && !project.hasAccess(req.user._id))) {
+    throw new ApiError('Ticket not found', 404);
+  }
+
+  if (found.key !== key.toUpperCase()) {
+    return res.redirect(301, `${req.baseUrl}/by-key/${found.key}`);
+  }
+
+  const ticket = await found.populate([
+    { path: 'assignedTo', select: 'name email role' },
+    { path: 'createdBy', select: 'name email role' },
+    { path: 'project', select: 'name key description' },
+    { path: 'statusHistory.changedBy', select: 'name email' },
+    { path: 'watchers', select: 'name email' }
+  ]);
+
+  const links = await ticket.getLinkGroups(req.user);
+
+  res.json({
+    success: true,
+    data: { ticket, links }
   });
 });
 
@@ -210,24 +266,39 @@ const updateTicket = asyncHandler(async (req, res) => {
   const previousAssignedTo = ticket.assignedTo;
 
   // Handle assignment changes
-  if (updates.assignedTo !== undefined) {
-    if (updates.assignedTo) {
-      const assignedUser = await User.findOne({ _id: updates.assignedTo, isActive: true });
-      if (!assignedUser) {
-        throw new ApiError('Assigned user not found or inactive', 404);
-      }
+  if (updates.assignedTo) {
+    await findAssignableUser(project, updates.assignedTo, req.user);
+  }
 
-      // Check if assigned user has access to project
-      if (req.user.role !== 'ADMIN' && !project.hasAccess(updates.assignedTo)) {
-        throw new ApiError('Assigned user does not have access to this project', 403);
-      }
-    }
+  // Enforce the project workflow and WIP limits for status changes
+  if (updates.status !== undefined && updates.status !== ticket.status) {
+    await validateStatusChange(ticket, project, updates, req.user);
+    await checkWipLimit(project, updates.status, req.user, updates.overrideWipLimit);
+  }
+
+  // Versions must belong to the ticket's project
+  if (updates.fixVersions !== undefined) {
+    updates.fixVersions = await findProjectVersions(project, updates.fixVersions);
+  }
+  if (updates.affectsVersions !== undefined) {
+    updates.affectsVersions = await findProjectVersions(project, updates.affectsVersions);
+  }
+
+  // Components must belong to the ticket's project
+  if (updates.components !== undefined) {
+    updates.components = findProjectComponents(project, updates.components);
+  }
+
+  // Only the custom fields sent are changed; null clears one
+  if (updates.customFields !== undefined) {
+    updates.customFields = await resolveCustomFields(project, updates.customFields, ticket.customFields || {});
   }
 
   // Update allowed fields
   const allowedUpdates = [
     'title', 'description', 'status', 'priority', 'type',
-    'assignedTo', 'dueDate', 'estimatedHours', 'actualHours', 'tags'
+    'assignedTo', 'dueDate', 'estimatedHours', 'actualHours', 'tags', 'resolution',
+    'fixVersions', 'affectsVersions', 'components', 'customFields'
   ];
 
   allowedUpdates.forEach(field => {
@@ -236,8 +307,14 @@ const updateTicket = asyncHandler(async (req, res) => {
     }
   });
 
-  // Set who modified the ticket for status history
+  // New assignees start watching the ticket
+  if (updates.assignedTo) {
+    ticket.addWatchers(updates.assignedTo);
+  }
+
+  // Set who modified the ticket (and why) for status history
   ticket.modifiedBy = req.user._id;
+  ticket.statusComment = updates.comment;
 
   await ticket.save();
 
@@ -245,7 +322,8 @@ const updateTicket = asyncHandler(async (req, res) => {
   await ticket.populate([
     { path: 'assignedTo', select: 'name email' },
     { path: 'createdBy', select: 'name email' },
-    { path: 'project', select: 'name' }
+    { path: 'project', select: 'name key' },
+    { path: 'watchers', select: 'name email' }
   ]);
 
   // Send notifications for significant changes
@@ -282,14 +360,11 @@ const deleteTicket = asyncHandler(async (req, res) => {
 
   // Check permissions (admin, project creator, or ticket creator)
   const project = await Project.findById(ticket.project._id);
-  const isProjectCreator = project.createdBy.toString() === req.user._id.toString();
-  const isTicketCreator = ticket.createdBy.toString() === req.user._id.toString();
-
-  if (req.user.role !== 'ADMIN' && !isProjectCreator && !isTicketCreator) {
+  if (!canDeleteTicket(ticket, project, req.user)) {
     throw new ApiError('Access denied. Only admin, project creator, or ticket creator can delete tickets', 403);
   }
 
-  await Ticket.findByIdAndDelete(id);
+  await removeTicket(ticket, req.user);
 
   res.json({
     success: true,
@@ -297,6 +372,44 @@ const deleteTicket = asyncHandler(async (req, res) => {
   });
 });
 
+// Move ticket to another project
+const moveTicketToProject = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { project: targetProjectId } = req.body;
+
+  const ticket = await Ticket.findById(id);
+
+  if (!ticket) {
+    throw new ApiError('Ticket not found', 404);
+  }
+
+  const sourceProject = await Project.findById(ticket.project);
+  if (req.user.role !== 'ADMIN' && !sourceProject.hasAccess(req.user._id)) {
+    throw new ApiError('Access denied to this ticket', 403);
+  }
+
+  const { targetProject, unassigned, previousKey } = await moveTicket(
+    ticket, sourceProject, targetProjectId, req.user
+  );
+
+  await ticket.populate([
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'createdBy', select: 'name email' },
+    { path: 'project', select: 'name key' },
+    { path: 'watchers', select: 'name email' }
+  ]);
+
+  emailService.sendTicketMovedEmail(ticket, sourceProject, targetProject, previousKey, req.user).catch(() => {});
+
+  res.json({
+    success: true,
+    message: unassigned
+      ? 'Ticket moved successfully (assignee has no access to the destination project and was unassigned)'
+      : 'Ticket moved successfully',
+    data: { ticket }
+  });
+});
+
 // Assign ticket to user
 const assignTicket = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -315,24 +428,18 @@ const assignTicket = asyncHandler(async (req, res) => {
   }
 
   // Verify user exists and has project access
-  const assignedUser = await User.findOne({ _id: userId, isActive: true });
-  if (!assignedUser) {
-    throw new ApiError('User not found or inactive', 404);
-  }
-
-  if (req.user.role !== 'ADMIN' && !project.hasAccess(userId)) {
-    throw new ApiError('User does not have access to this project', 403);
-  }
+  const assignedUser = await findAssignableUser(project, userId, req.user);
 
   const previousAssignee = ticket.assignedTo;
   ticket.assignedTo = userId;
+  ticket.addWatchers(userId);
   ticket.modifiedBy = req.user._id;
 
   await ticket.save();
   await ticket.populate([
     { path: 'assignedTo', select: 'name email' },
     { path: 'createdBy', select: 'name email' },
-    { path: 'project', select: 'name' }
+    { path: 'project', select: 'name key' }
   ]);
 
   // Send assignment email if not self-assigning
@@ -369,7 +476,7 @@ const unassignTicket = asyncHandler(async (req, res) => {
   await ticket.save();
   await ticket.populate([
     { path: 'createdBy', select: 'name email' },
-    { path: 'project', select: 'name' }
+    { path: 'project', select: 'name key' }
   ]);
 
   res.json({
@@ -393,7 +500,7 @@ const getMyAssignedTickets = asyncHandler(async (req, res) => {
 
   const tickets = await Ticket.find(query)
     .populate('createdBy', 'name email')
-    .populate('project', 'name')
+    .populate('project', 'name key')
     .skip(skip)
     .limit(parseInt(limit))
     .sort({ createdAt: -1 });
@@ -426,7 +533,7 @@ const getMyCreatedTickets = asyncHandler(async (req, res) => {
 
   const tickets = await Ticket.find(query)
     .populate('assignedTo', 'name email')
-    .populate('project', 'name')
+    .populate('project', 'name key')
     .skip(skip)
     .limit(parseInt(limit))
     .sort({ createdAt: -1 });
@@ -445,20 +552,53 @@ const getMyCreatedTickets = asyncHandler(async (req, res) => {
   });
 });
 
+// Get tickets watched by current user
+const getWatchingTickets = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, priority } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  let query = { watchers: req.user._id };
+
+  // Watchers removed from a project no longer see its tickets
+  if (req.user.role !== 'ADMIN') {
+    query.project = { $in: await Project.findAccessibleProjectIds(req.user._id) };
+  }
+
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+
+  const total = await Ticket.countDocuments(query);
+
+  const tickets = await Ticket.find(query)
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email')
+    .populate('project', 'name key')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .sort({ updatedAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      tickets,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    }
+  });
+});
+
 // Get ticket statistics
 const getTicketStats = asyncHandler(async (req, res) => {
   // Get accessible projects for non-admin users
   let projectFilter = {};
   if (req.user.role !== 'ADMIN') {
-    const accessibleProjects = await Project.find({
-      $or: [
-        { createdBy: req.user._id },
-        { 'members.user': req.user._id }
-      ],
-      isActive: true
-    }).select('_id');
+    const accessibleIds = await Project.findAccessibleProjectIds(req.user._id);
 
-    projectFilter = { project: { $in: accessibleProjects.map(p => p._id) } };
+    projectFilter = { project: { $in: accessibleIds } };
   }
 
   const [
@@ -482,8 +622,8 @@ const getTicketStats = asyncHandler(async (req, res) => {
     ]),
     Ticket.countDocuments({
       ...projectFilter,
-      dueDate: { $lt: new Date() },
-      status: { $nin: ['RESOLVED', 'CLOSED'] }
+      ...Ticket.openStatusFilter(),
+      dueDate: { $lt: new Date() }
     })
   ]);
 
@@ -512,11 +652,14 @@ module.exports = {
   createTicket,
   getAllTickets,
   getTicketById,
+  getTicketByKey,
   updateTicket,
   deleteTicket,
+  moveTicketToProject,
   assignTicket,
   unassignTicket,
   getMyAssignedTickets,
   getMyCreatedTickets,
+  getWatchingTickets,
   getTicketStats
 };
\ No newline at end of file
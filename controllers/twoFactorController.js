@@ -0,0 +1,133 @@
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+// Check a current authenticator code, rejecting replays of an accepted code
+const checkCode = (user, code) => {
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+    throw new ApiError('Invalid two-factor authentication code', 400);
+  }
+  user.twoFactor.lastUsedStep = step;
+};
+
+// Start 2FA enrolment: generate a secret to add to an authenticator app
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor.enabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    }
+  });
+});
+
+// Finish enrolment with a first code; returns the one-time recovery codes
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor.enabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw new ApiError('Start two-factor setup first', 400);
+  }
+
+  const step = verifyCode(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new ApiError('Invalid two-factor authentication code', 400);
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+    data: { recoveryCodes }
+  });
+});
+
+// Turn 2FA off (password plus a current code or a recovery code)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await User.findById(req.user._id)
+    .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor.enabled) {
+    throw new ApiError('Two-factor authentication is not enabled', 400);
+  }
+
+  const policy = await SecurityPolicy.getCurrent();
+  if (user.role === 'ADMIN' && policy.requireTwoFactorForAdmins) {
+    throw new ApiError('Two-factor authentication is required for admin accounts', 400);
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw new ApiError('Password is incorrect', 400);
+  }
+
+  if (code) {
+    checkCode(user, code);
+  } else if (!user.useRecoveryCode(recoveryCode)) {
+    throw new ApiError('Invalid recovery code', 400);
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// Replace the recovery codes (requires a current code)
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor.enabled) {
+    throw new ApiError('Two-factor authentication is not enabled', 400);
+  }
+
+  checkCode(user, code);
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Recovery codes regenerated. Previous codes no longer work.',
+    data: { recoveryCodes }
+  });
+});
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
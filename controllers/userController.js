@@ -1,6 +1,14 @@
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const SecurityPolicy = require('../models/SecurityPolicy');
 const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
 const emailService = require('../utils/emailService');
+const { recordAuditEvent, auditTarget } = require('../utils/auditLog');
+const { issueAuthTokens } = require('../utils/authTokens');
+const { verifyCode } = require('../utils/totp');
+const { applyPendingInvitations } = require('../utils/invitations');
 
 // Register new user
 const registerUser = asyncHandler(async (req, res) => {
@@ -17,14 +25,16 @@ const registerUser = asyncHandler(async (req, res) => {
     name,
     email,
     password,
-    role
+    role,
+    emailVerified: false
   });
 
-  // Generate JWT token
-  const token = user.generateAuthToken();
+  // Start a session with access and refresh tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req);
 
-  // Send welcome email (async, don't wait for it)
+  // Send welcome and verification emails (async, don't wait for them)
   emailService.sendWelcomeEmail(user).catch(() => {});
+  emailService.sendEmailVerificationEmail(user, user.generateEmailVerificationToken()).catch(() => {});
 
   res.status(201).json({
     success: true,
@@ -35,35 +45,64 @@ const registerUser = asyncHandler(async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt
       },
-      token
+      token,
+      refreshToken
     }
   });
 });
 
-// Login user
-const loginUser = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
+// Reject login attempts while the account is locked or inside the progressive delay
+const checkLoginThrottle = (user, res) => {
+  const delay = user.getLoginDelay();
+  if (delay <= 0) return;
 
-  // Find user and include password field for comparison
-  const user = await User.findOne({ email }).select('+password');
-  
-  if (!user || !(await user.comparePassword(password))) {
-    throw new ApiError('Invalid email or password', 401);
+  const seconds = Math.ceil(delay / 1000);
+  res.set('Retry-After', String(seconds));
+
+  if (user.isLocked()) {
+    throw new ApiError(`Account is temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(seconds / 60)} minutes.`, 423);
   }
+  throw new ApiError(`Too many failed login attempts. Try again in ${seconds} seconds.`, 429);
+};
+
+// Audit a failed login and count it against the account, locking it when needed
+const handleFailedLogin = async (req, email, user, reason) => {
+  await recordAuditEvent(req, {
+    action: 'LOGIN_FAILED',
+    target: user ? auditTarget('USER', user) : { type: 'USER', name: email },
+    after: { reason }
+  });
 
-  // Check if user is active
-  if (!user.isActive) {
-    throw new ApiError('Account is deactivated. Please contact administrator.', 401);
+  if (!user) return;
+
+  const locked = await user.registerFailedLogin();
+  if (locked) {
+    await recordAuditEvent(req, {
+      action: 'ACCOUNT_LOCKED',
+      target: auditTarget('USER', user),
+      after: { lockUntil: user.lockUntil }
+    });
+    emailService.sendAccountLockedEmail(user, user.lockUntil).catch(() => {});
   }
+};
 
-  // Update last login
+// Finish a login: record it, start a session and send the tokens
+const completeLogin = async (user, req, res) => {
+  // Update last login and clear failed attempts
+  user.resetFailedLogins();
   user.lastLogin = new Date();
   await user.save({ validateBeforeSave: false });
 
-  // Generate JWT token
-  const token = user.generateAuthToken();
+  // Start a session with access and refresh tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  // Admins without 2FA can only enrol until they set it up, when the policy requires it
+  const policy = await SecurityPolicy.getCurrent();
+  const twoFactorSetupRequired = user.role === 'ADMIN' && !user.twoFactor.enabled &&
+    policy.requireTwoFactorForAdmins;
 
   res.json({
     success: true,
@@ -76,9 +115,86 @@ const loginUser = asyncHandler(async (req, res) => {
         role: user.role,
         lastLogin: user.lastLogin
       },
-      token
+      token,
+      refreshToken,
+      ...(twoFactorSetupRequired && { twoFactorSetupRequired })
     }
   });
+};
+
+// Login user
+const loginUser = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Find user and include password field for comparison
+  const user = await User.findOne({ email }).select('+password +failedLoginAttempts +lastFailedLoginAt');
+
+  if (user) {
+    checkLoginThrottle(user, res);
+  }
+  
+  if (!user || !(await user.comparePassword(password))) {
+    await handleFailedLogin(req, email, user, user ? 'INVALID_PASSWORD' : 'UNKNOWN_EMAIL');
+    throw new ApiError('Invalid email or password', 401);
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    throw new ApiError('Account is deactivated. Please contact administrator.', 401);
+  }
+
+  // Users with 2FA get a challenge token to exchange with a code at /login/2fa
+  if (user.twoFactor.enabled) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication code required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: user.generateTwoFactorChallenge()
+      }
+    });
+  }
+
+  await completeLogin(user, req, res);
+});
+
+// Second login step for users with 2FA: authenticator code or recovery code
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new ApiError('Login challenge is invalid or has expired. Please log in again.', 401);
+  }
+  if (decoded.purpose !== 'two-factor') {
+    throw new ApiError('Login challenge is invalid or has expired. Please log in again.', 401);
+  }
+
+  const user = await User.findById(decoded.id)
+    .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +failedLoginAttempts +lastFailedLoginAt');
+
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    throw new ApiError('Login challenge is invalid or has expired. Please log in again.', 401);
+  }
+
+  // Wrong codes count as failed logins too
+  checkLoginThrottle(user, res);
+
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+      await handleFailedLogin(req, user.email, user, 'INVALID_2FA_CODE');
+      throw new ApiError('Invalid two-factor authentication code', 401);
+    }
+    user.twoFactor.lastUsedStep = step;
+  } else if (!user.useRecoveryCode(recoveryCode)) {
+    await handleFailedLogin(req, user.email, user, 'INVALID_RECOVERY_CODE');
+    throw new ApiError('Invalid recovery code', 401);
+  }
+
+  await completeLogin(user, req, res);
 });
 
 // Get current user profile
@@ -98,6 +214,8 @@ const getUserProfile = asyncHandler(async (req, res) => {
         email: user.email,
         role: user.role,
         isActive: user.isActive,
+        emailVerified: user.isEmailVerified(),
+        twoFactorEnabled: user.twoFactor.enabled,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
@@ -123,12 +241,21 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     }
   }
 
-  // Update fields
+  // Update fields; a new email address has to be verified again
+  const emailChanged = email && email !== user.email;
   if (name) user.name = name;
-  if (email) user.email = email;
+  if (emailChanged) {
+    user.email = email;
+    user.emailVerified = false;
+    user.emailVerifiedAt = undefined;
+  }
 
   await user.save();
 
+  if (emailChanged) {
+    emailService.sendEmailVerificationEmail(user, user.generateEmailVerificationToken()).catch(() => {});
+  }
+
   res.json({
     success: true,
     message: 'Profile updated successfully',
@@ -164,9 +291,107 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out every session and start a fresh one for this client
+  await Session.revokeAllForUser(user._id, 'PASSWORD_CHANGED');
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  res.json({
+    success: true,
+    message: 'Password changed successfully',
+    data: { token, refreshToken }
+  });
+});
+
+// Request a password reset link (same response whether or not the account exists)
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email, isActive: true });
+
+  if (user) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    emailService.sendPasswordResetEmail(user, resetToken).catch(() => {});
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+});
+
+// Reset password with a token from the reset email
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  const user = await User.findByPasswordResetToken(token);
+
+  if (!user) {
+    throw new ApiError('Password reset token is invalid or has expired', 400);
+  }
+
+  // Tokens are single-use; changing the password also invalidates existing JWTs
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.resetFailedLogins();
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'PASSWORD_CHANGED');
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully. Please log in with your new password.'
+  });
+});
+
+// Verify an email address with the token from the verification email
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new ApiError('Verification link is invalid or has expired', 400);
+  }
+
+  // Tokens are bound to the address they were sent to
+  const user = decoded.purpose === 'verify-email' && await User.findById(decoded.id);
+  if (!user || user.email !== decoded.email) {
+    throw new ApiError('Verification link is invalid or has expired', 400);
+  }
+
+  if (user.emailVerified !== true) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    // Invitations held back until the address was verified
+    await applyPendingInvitations(user, req);
+  }
+
+  res.json({
+    success: true,
+    message: 'Email address verified successfully'
+  });
+});
+
+// Send a new verification email to the current user
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.isEmailVerified()) {
+    throw new ApiError('Email address is already verified', 400);
+  }
+
+  emailService.sendEmailVerificationEmail(user, user.generateEmailVerificationToken()).catch(() => {});
+
   res.json({
     success: true,
-    message: 'Password changed successfully'
+    message: 'Verification email sent'
   });
 });
 
@@ -237,9 +462,17 @@ const updateUserRole = asyncHandler(async (req, res) => {
     throw new ApiError('Cannot modify your own role', 400);
   }
 
+  const previousRole = user.role;
   user.role = role;
   await user.save();
 
+  await recordAuditEvent(req, {
+    action: 'USER_ROLE_CHANGED',
+    target: auditTarget('USER', user),
+    before: { role: previousRole },
+    after: { role }
+  });
+
   res.json({
     success: true,
     message: `User role updated to ${role} successfully`,
@@ -271,9 +504,17 @@ const updateUserStatus = asyncHandler(async (req, res) => {
     throw new ApiError('Cannot modify your own status', 400);
   }
 
+  const previousStatus = user.isActive;
   user.isActive = isActive;
   await user.save();
 
+  await recordAuditEvent(req, {
+    action: 'USER_STATUS_CHANGED',
+    target: auditTarget('USER', user),
+    before: { isActive: previousStatus },
+    after: { isActive: user.isActive }
+  });
+
   res.json({
     success: true,
     message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -290,6 +531,33 @@ const updateUserStatus = asyncHandler(async (req, res) => {
   });
 });
 
+// Unlock an account locked after failed logins (Admin only)
+const unlockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new ApiError('User not found', 404);
+  }
+
+  const previousLockUntil = user.lockUntil;
+  user.resetFailedLogins();
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: 'ACCOUNT_UNLOCKED',
+    target: auditTarget('USER', user),
+    before: { lockUntil: previousLockUntil },
+    after: { lockUntil: null }
+  });
+
+  res.json({
+    success: true,
+    message: 'User account unlocked successfully'
+  });
+});
+
 // Delete user (Admin only)
 const deleteUser = asyncHandler(async (req, res) => {
   const { userId } = req.params;
@@ -316,8 +584,16 @@ const deleteUser = asyncHandler(async (req, res) => {
 
   if (hasProjects || hasTickets) {
     // Instead of deleting, deactivate the user to maintain data integrity
+    const previousStatus = user.isActive;
     user.isActive = false;
     await user.save();
+
+    await recordAuditEvent(req, {
+      action: 'USER_DEACTIVATED',
+      target: auditTarget('USER', user),
+      before: { isActive: previousStatus },
+      after: { isActive: false }
+    });
     
     return res.json({
       success: true,
@@ -327,6 +603,14 @@ const deleteUser = asyncHandler(async (req, res) => {
   }
 
   await User.findByIdAndDelete(userId);
+  await Session.deleteMany({ user: userId });
+  await ApiToken.deleteMany({ user: userId });
+
+  await recordAuditEvent(req, {
+    action: 'USER_DELETED',
+    target: auditTarget('USER', user),
+    before: { name: user.name, email: user.email, role: user.role, isActive: user.isActive }
+  });
 
   res.json({
     success: true,
@@ -363,11 +647,8 @@ const getAssignableUsers = asyncHandler(async (req, res) => {
       throw new ApiError('Access denied to this project', 403);
     }
 
-    // Get project creator and members
-    const memberUserIds = project.members.map(member => member.user);
-    const accessibleUserIds = [project.createdBy, ...memberUserIds];
-    
-    query._id = { $in: accessibleUserIds };
+    // Get project creator, members and team members
+    query._id = { $in: project.getMemberUserIds() };
   }
 
   users = await User.find(query)
@@ -387,12 +668,18 @@ const getAssignableUsers = asyncHandler(async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  loginTwoFactor,
   getUserProfile,
   updateUserProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   getAllUsers,
   updateUserRole,
   updateUserStatus,
+  unlockUser,
   deleteUser,
   getAssignableUsers
 };
\ No newline at end of file
@@ -0,0 +1,289 @@
+const Version = require('../models/Version');
+const Ticket = require('../models/Ticket');
+const { asyncHandler, ApiError } = require('../middlewares/errorHandler');
+const { findAccessibleProject } = require('../utils/projectAccess');
+const { buildReleaseNotes } = require('../utils/releaseNotes');
+
+// Load a version belonging to a project
+const findProjectVersion = async (project, versionId) => {
+  const version = await Version.findOne({ _id: versionId, project: project._id });
+
+  if (!version) {
+    throw new ApiError('Version not found', 404);
+  }
+
+  return version;
+};
+
+// Reject a version name already used in the project
+const checkVersionName = async (project, name, excludeId) => {
+  const query = { project: project._id, name };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  if (await Version.exists(query)) {
+    throw new ApiError(`Version ${name} already exists in this project`, 400);
+  }
+};
+
+// Create a version in a project (project MANAGER or above)
+const createVersion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description, releaseDate } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  await checkVersionName(project, name);
+
+  const version = await Version.create({
+    project: project._id,
+    name,
+    description,
+    releaseDate,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Version created successfully',
+    data: { version }
+  });
+});
+
+// List the versions of a project with ticket progress (archived ones on request)
+const getVersions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { released, includeArchived } = req.query;
+
+  const project = await findAccessibleProject(id, req.user, 'VIEWER');
+
+  const query = { project: project._id };
+  if (released !== undefined) query.released = released === 'true';
+  if (includeArchived !== 'true') query.archived = false;
+
+  const versions = await Version.find(query).sort({ releaseDate: 1, createdAt: 1 });
+
+  // Fix-version ticket counts per version (total and done)
+  const counts = await Ticket.aggregate([
+    { $match: { fixVersions: { $in: versions.map(version => version._id) } } },
+    { $unwind: '$fixVersions' },
+    {
+      $group: {
+        _id: '$fixVersions',
+        total: { $sum: 1 },
+        done: { $sum: { $cond: [{ $in: ['$statusCategory', ['RESOLVED', 'CLOSED']] }, 1, 0] } }
+      }
+    }
+  ]);
+  const countsByVersion = new Map(counts.map(count => [count._id.toString(), count]));
+
+  res.json({
+    success: true,
+    data: {
+      versions: versions.map(version => {
+        const count = countsByVersion.get(version._id.toString());
+        return {
+          ...version.toObject(),
+          ticketCount: count ? count.total : 0,
+          doneCount: count ? count.done : 0
+        };
+      })
+    }
+  });
+});
+
+// Get a version with its fix-version and affected tickets
+const getVersionById = asyncHandler(async (req, res) => {
+  const { id, versionId } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'VIEWER');
+  const version = await findProjectVersion(project, versionId);
+  await version.populate('createdBy releasedBy', 'name email');
+
+  const summary = 'key title type status statusCategory priority assignedTo';
+  const [fixedTickets, affectedTickets] = await Promise.all([
+    Ticket.find({ fixVersions: version._id }).select(summary).populate('assignedTo', 'name email'),
+    Ticket.find({ affectsVersions: version._id }).select(summary).populate('assignedTo', 'name email')
+  ]);
+
+  res.json({
+    success: true,
+    data: { version, fixedTickets, affectedTickets }
+  });
+});
+
+// Update version details or archive it (project MANAGER or above)
+const updateVersion = asyncHandler(async (req, res) => {
+  const { id, versionId } = req.params;
+  const { name } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  const version = await findProjectVersion(project, versionId);
+
+  if (name && name !== version.name) {
+    await checkVersionName(project, name, version._id);
+  }
+
+  const allowedUpdates = ['name', 'description', 'releaseDate', 'archived'];
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      version[field] = req.body[field];
+    }
+  });
+
+  await version.save();
+
+  res.json({
+    success: true,
+    message: 'Version updated successfully',
+    data: { version }
+  });
+});
+
+// Delete a version and remove it from tickets (project MANAGER or above)
+const deleteVersion = asyncHandler(async (req, res) => {
+  const { id, versionId } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  const version = await findProjectVersion(project, versionId);
+
+  if (version.released) {
+    throw new ApiError('Released versions cannot be deleted. Archive them instead', 400);
+  }
+
+  const tickets = await Ticket.find({
+    $or: [{ fixVersions: version._id }, { affectsVersions: version._id }]
+  });
+  for (const ticket of tickets) {
+    ticket.fixVersions.pull(version._id);
+    ticket.affectsVersions.pull(version._id);
+    ticket.modifiedBy = req.user._id;
+    await ticket.save();
+  }
+
+  await Version.findByIdAndDelete(version._id);
+
+  res.json({
+    success: true,
+    message: 'Version deleted successfully'
+  });
+});
+
+// Release a version. Open fix-version tickets block the release unless they are
+// moved to another unreleased version with moveOpenTicketsTo
+const releaseVersion = asyncHandler(async (req, res) => {
+  const { id, versionId } = req.params;
+  const { moveOpenTicketsTo, releaseDate } = req.body;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  const version = await findProjectVersion(project, versionId);
+
+  if (version.released) {
+    throw new ApiError('Version is already released', 400);
+  }
+  if (version.archived) {
+    throw new ApiError('Archived versions cannot be released', 400);
+  }
+
+  const openTickets = await Ticket.find({ fixVersions: version._id, ...Ticket.openStatusFilter() });
+
+  let targetVersion = null;
+  if (openTickets.length > 0) {
+    if (!moveOpenTicketsTo) {
+      throw new ApiError(`Cannot release while fix-version tickets are still open: ${openTickets.map(t => t.key || t._id).join(', ')}. Resolve them or move them with moveOpenTicketsTo`, 400);
+    }
+
+    targetVersion = await Version.findOne({
+      _id: moveOpenTicketsTo,
+      project: project._id,
+      released: false,
+      archived: false
+    });
+    if (!targetVersion || targetVersion._id.toString() === version._id.toString()) {
+      throw new ApiError('moveOpenTicketsTo must be another unreleased version of this project', 400);
+    }
+
+    for (const ticket of openTickets) {
+      ticket.fixVersions.pull(version._id);
+      ticket.fixVersions.addToSet(targetVersion._id);
+      ticket.modifiedBy = req.user._id;
+      await ticket.save();
+    }
+  }
+
+  version.released = true;
+  version.releasedAt = new Date();
+  version.releasedBy = req.user._id;
+  version.releaseDate = releaseDate || version.releaseDate || version.releasedAt;
+  await version.save();
+
+  res.json({
+    success: true,
+    message: 'Version released successfully',
+    data: {
+      version,
+      movedTickets: openTickets.length,
+      movedTo: targetVersion ? { _id: targetVersion._id, name: targetVersion.name } : null
+    }
+  });
+});
+
+// Mark a released version as unreleased again
+const unreleaseVersion = asyncHandler(async (req, res) => {
+  const { id, versionId } = req.params;
+
+  const project = await findAccessibleProject(id, req.user, 'MANAGER');
+  const version = await findProjectVersion(project, versionId);
+
+  if (!version.released) {
+    throw new ApiError('Version is not released', 400);
+  }
+
+  version.released = false;
+  version.releasedAt = undefined;
+  version.releasedBy = undefined;
+  await version.save();
+
+  res.json({
+    success: true,
+    message: 'Version unreleased successfully',
+    data: { version }
+  });
+});
+
+// Generate release notes for a version, grouped by ticket type
+const getReleaseNotes = asyncHandler(async (req, res) => {
+  const { id, versionId } = req.params;
+  const { format = 'markdown' } = req.query;
+
+  const project = await findAccessibleProject(id, req.user, 'VIEWER');
+  const version = await findProjectVersion(project, versionId);
+
+  const tickets = await Ticket.find({ fixVersions: version._id })
+    .select('key title type status')
+    .sort({ number: 1, createdAt: 1 });
+
+  const notes = buildReleaseNotes(project, version, tickets, format);
+
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      data: { version, sections: notes }
+    });
+  }
+
+  const extension = format === 'html' ? 'html' : 'md';
+  const filename = `${project.key || 'release'}-${version.name}-release-notes.${extension}`.replace(/[^\w.-]/g, '_');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.type(format === 'html' ? 'text/html' : 'text/markdown');
+  res.send(notes);
+});
+
+module.exports = {
+  createVersion,
+  getVersions,
+  getVersionById,
+  updateVersion,
+  deleteVersion,
+  releaseVersion,
+  unreleaseVersion,
+  getReleaseNotes
+};
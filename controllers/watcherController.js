@@ -0,0 +1,57 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { findAccessibleTicket } = require('../utils/ticketAccess');
+
+// Start watching a ticket
+const watchTicket = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+
+  ticket.addWatchers(req.user._id);
+  await ticket.save();
+
+  res.json({
+    success: true,
+    message: 'You are now watching this ticket',
+    data: { watching: true, watcherCount: ticket.watchers.length }
+  });
+});
+
+// Stop watching a ticket
+const unwatchTicket = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+
+  ticket.watchers.pull(req.user._id);
+  await ticket.save();
+
+  res.json({
+    success: true,
+    message: 'You are no longer watching this ticket',
+    data: { watching: false, watcherCount: ticket.watchers.length }
+  });
+});
+
+// Get users watching a ticket
+const getTicketWatchers = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { ticket } = await findAccessibleTicket(id, req.user);
+  await ticket.populate('watchers', 'name email');
+
+  res.json({
+    success: true,
+    data: {
+      watchers: ticket.watchers,
+      watching: ticket.watchers.some(watcher => watcher._id.toString() === req.user._id.toString()),
+      total: ticket.watchers.length
+    }
+  });
+});
+
+module.exports = {
+  watchTicket,
+  unwatchTicket,
+  getTicketWatchers
+};
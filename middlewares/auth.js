@@ -1,8 +1,86 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const ApiToken = require('../models/ApiToken');
+
+// Resolve the user of a personal API token ("bt_..." bearer tokens)
+const authenticateApiToken = async (token, req, res) => {
+  const apiToken = await ApiToken.findActiveByToken(token);
+  if (!apiToken) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API token.'
+    });
+    return null;
+  }
+
+  const user = await User.findById(apiToken.user);
+  if (!user || !user.isActive) {
+    res.status(401).json({
+      success: false,
+      message: 'User account is deactivated.'
+    });
+    return null;
+  }
+
+  apiToken.touch(req.ip).catch(() => {});
+  req.apiToken = apiToken;
+  return user;
+};
+
+// Resolve the user of a JWT access token and check its session
+const authenticateAccessToken = async (token, req, res) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  // Check if user still exists
+  const user = await User.findById(decoded.id).select('+passwordChangedAt');
+  if (!user) {
+    res.status(401).json({
+      success: false,
+      message: 'The user belonging to this token no longer exists.'
+    });
+    return null;
+  }
 
-// Check authentication
-const authenticate = async (req, res, next) => {
+  // Check if user is active
+  if (!user.isActive) {
+    res.status(401).json({
+      success: false,
+      message: 'User account is deactivated.'
+    });
+    return null;
+  }
+
+  // Check if user changed password after the token was issued
+  if (user.changedPasswordAfter(decoded.iat)) {
+    res.status(401).json({
+      success: false,
+      message: 'User recently changed password. Please log in again.'
+    });
+    return null;
+  }
+
+  // Check the session behind the token has not been revoked
+  const session = decoded.sid && await Session.findActive(decoded.sid);
+  if (!session || session.user.toString() !== user._id.toString()) {
+    res.status(401).json({
+      success: false,
+      message: 'Session has expired or was revoked. Please log in again.'
+    });
+    return null;
+  }
+  session.touch().catch(() => {});
+
+  req.authSession = session;
+  return user;
+};
+
+// Check authentication (JWT access tokens or personal API tokens).
+// allowMissingTwoFactor lets admins who still have to enrol in 2FA (when the
+// policy requires it) reach the enrolment routes.
+const authenticateUser = ({ allowMissingTwoFactor = false } = {}) => async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.header('Authorization');
@@ -16,32 +94,21 @@ const authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check if user still exists
-    const user = await User.findById(decoded.id).select('+passwordChangedAt');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'The user belonging to this token no longer exists.'
-      });
-    }
-
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'User account is deactivated.'
-      });
-    }
-
-    // Check if user changed password after the token was issued
-    if (user.changedPasswordAfter(decoded.iat)) {
-      return res.status(401).json({
-        success: false,
-        message: 'User recently changed password. Please log in again.'
-      });
+    const user = token.startsWith(ApiToken.TOKEN_PREFIX)
+      ? await authenticateApiToken(token, req, res)
+      : await authenticateAccessToken(token, req, res);
+    if (!user) return; // Response already sent
+
+    // Enforce the admin two-factor policy
+    if (!allowMissingTwoFactor && user.role === 'ADMIN' && !user.twoFactor.enabled) {
+      const policy = await SecurityPolicy.getCurrent();
+      if (policy.requireTwoFactorForAdmins) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for admin accounts. Set it up at /api/auth/2fa/setup.',
+          twoFactorSetupRequired: true
+        });
+      }
     }
 
     // Grant access to protected route
@@ -67,6 +134,41 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+const authenticate = authenticateUser();
+const authenticateForTwoFactorSetup = authenticateUser({ allowMissingTwoFactor: true });
+
+// Require an API token scope; interactive sessions have every scope
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. This API token is missing the ${scope} scope.`
+      });
+    }
+    next();
+  };
+};
+
+// Require the read scope for GET requests and the write scope otherwise
+const requireResourceScope = (resource) => {
+  return (req, res, next) => {
+    const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+    return requireScope(`${resource}:${access}`)(req, res, next);
+  };
+};
+
+// Reject API tokens on account security routes (tokens, sessions, 2FA, admin)
+const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint cannot be used with an API token.'
+    });
+  }
+  next();
+};
+
 // Authorize based on roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -101,8 +203,11 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
     const user = await User.findById(decoded.id);
-    if (user && user.isActive && !user.changedPasswordAfter(decoded.iat)) {
+    const session = decoded.sid && await Session.findActive(decoded.sid);
+    if (user && user.isActive && !user.changedPasswordAfter(decoded.iat) &&
+        session && session.user.toString() === user._id.toString()) {
       req.user = user;
+      req.authSession = session;
     }
     
     next();
@@ -139,6 +244,10 @@ const ownerOrAdmin = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateForTwoFactorSetup,
+  requireScope,
+  requireResourceScope,
+  requireSession,
   authorize,
   optionalAuth,
   ownerOrAdmin
@@ -1,6 +1,12 @@
 // Global error handler
 
 const errorHandler = (err, req, res, next) => {
+  // A response already under way (e.g. a streamed export) can't be replaced with JSON;
+  // Express's default handler closes the connection instead
+  if (res.headersSent) {
+    return next(err);
+  }
+
   let error = { ...err };
   error.message = err.message;
 
@@ -48,6 +54,14 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // File upload errors
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? 'File is too large'
+      : err.message;
+    error = { message, statusCode: 400 };
+  }
+
   // Rate limiting errors
   if (err.status === 429) {
     const message = 'Too many requests. Please try again later.';
@@ -0,0 +1,32 @@
+const rateLimit = require('express-rate-limit');
+
+// Limit password reset requests per email address (not per IP)
+const passwordResetLimiter = rateLimit({
+  windowMs: parseInt(process.env.PASSWORD_RESET_WINDOW_MS, 10) || 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS, 10) || 3,
+  keyGenerator: (req) => `password-reset:${req.body.email}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many password reset requests for this email, please try again later.'
+  }
+});
+
+// Limit verification email resends per user
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => `verify-email:${req.user._id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many verification emails requested, please try again later.'
+  }
+});
+
+module.exports = {
+  passwordResetLimiter,
+  verificationEmailLimiter
+};
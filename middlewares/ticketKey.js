@@ -0,0 +1,24 @@
+const Ticket = require('../models/Ticket');
+const { TICKET_KEY_PATTERN } = require('../models/Ticket');
+const { asyncHandler, ApiError } = require('./errorHandler');
+
+// Replace a ticket key route param (e.g. API-123) with the ticket's ObjectId
+const resolveTicketKey = (paramName = 'id') => asyncHandler(async (req, res, next) => {
+  const value = req.params[paramName];
+
+  if (!TICKET_KEY_PATTERN.test(value.toUpperCase())) {
+    return next();
+  }
+
+  const ticket = await Ticket.findByKey(value);
+  if (!ticket) {
+    throw new ApiError('Ticket not found', 404);
+  }
+
+  req.params[paramName] = ticket._id.toString();
+  next();
+});
+
+module.exports = {
+  resolveTicketKey
+};
@@ -0,0 +1,44 @@
+const multer = require('multer');
+const { ApiError } = require('./errorHandler');
+
+const DEFAULT_ALLOWED_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/json',
+  'application/zip'
+];
+
+const maxFileSize = parseInt(process.env.ATTACHMENT_MAX_SIZE) || 10 * 1024 * 1024; // 10 MB
+
+const allowedMimeTypes = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim())
+  : DEFAULT_ALLOWED_MIME_TYPES;
+
+// Keep uploads in memory so they can be checksummed before storage
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!allowedMimeTypes.includes(file.mimetype)) {
+      return cb(new ApiError(`File type ${file.mimetype} is not allowed`, 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Single file upload from the "file" form field
+const uploadAttachment = attachmentUpload.single('file');
+
+module.exports = {
+  uploadAttachment,
+  maxFileSize,
+  allowedMimeTypes
+};
@@ -1,4 +1,17 @@
 const { body, param, query, validationResult } = require('express-validator');
+const {
+  STATUS_CATEGORIES,
+  TRANSITION_REQUIRED_FIELDS,
+  PROJECT_KEY_PATTERN,
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_KEY_PATTERN
+} = require('../models/Project');
+const { TICKET_KEY_PATTERN } = require('../models/Ticket');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../models/AuditEvent');
+const { API_TOKEN_SCOPES } = require('../models/ApiToken');
+const { TEAM_ROLES } = require('../models/Team');
+const { SPRINT_STATES } = require('../models/Sprint');
+const { resolveTicketKey } = require('./ticketKey');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -59,6 +72,140 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  handleValidationErrors
+];
+
+// Password reset validation
+const validatePasswordReset = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid password reset token'),
+  
+  body('password')
+    .isLength({ min: 6, max: 128 })
+    .withMessage('Password must be between 6 and 128 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
+// Email verification token validation
+const validateEmailVerificationToken = [
+  param('token')
+    .isJWT()
+    .withMessage('Invalid verification link'),
+  
+  handleValidationErrors
+];
+
+// Refresh token validation
+const validateRefreshToken = [
+  body('refreshToken')
+    .isHexadecimal()
+    .isLength({ min: 96, max: 96 })
+    .withMessage('Invalid refresh token'),
+  
+  handleValidationErrors
+];
+
+// Authenticator code, or a recovery code instead of it
+const twoFactorCodeRules = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Invalid recovery code'),
+  
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Either code or recoveryCode is required')
+];
+
+// Second login step validation
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isJWT()
+    .withMessage('Invalid login challenge'),
+  
+  ...twoFactorCodeRules,
+  
+  handleValidationErrors
+];
+
+// Authenticator code validation
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+// Disable 2FA validation
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  ...twoFactorCodeRules,
+  
+  handleValidationErrors
+];
+
+// Security policy validation
+const validateSecurityPolicy = [
+  body('requireTwoFactorForAdmins')
+    .optional()
+    .isBoolean()
+    .withMessage('requireTwoFactorForAdmins must be a boolean'),
+  
+  body('requireVerifiedEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('requireVerifiedEmail must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Personal API token validation
+const validateApiTokenCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(API_TOKEN_SCOPES)
+    .withMessage(`Scopes must be among: ${API_TOKEN_SCOPES.join(', ')}`),
+  
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
 // Project creation validation
 const validateProjectCreation = [
   body('name')
@@ -68,6 +215,13 @@ const validateProjectCreation = [
     .matches(/^[a-zA-Z0-9\s\-_\.]+$/)
     .withMessage('Project name can only contain letters, numbers, spaces, hyphens, underscores, and dots'),
   
+  body('key')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(PROJECT_KEY_PATTERN)
+    .withMessage('Project key must be 2-10 letters or digits, starting with a letter'),
+  
   body('description')
     .trim()
     .isLength({ min: 10, max: 500 })
@@ -105,6 +259,13 @@ const validateProjectUpdate = [
     .isLength({ min: 3, max: 100 })
     .withMessage('Project name must be between 3 and 100 characters'),
   
+  body('key')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(PROJECT_KEY_PATTERN)
+    .withMessage('Project key must be 2-10 letters or digits, starting with a letter'),
+  
   body('description')
     .optional()
     .trim()
@@ -124,6 +285,71 @@ const validateProjectUpdate = [
   handleValidationErrors
 ];
 
+// Ticket fix/affects version rules (version IDs of the ticket's project)
+const ticketVersionRules = [
+  body('fixVersions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('fixVersions must be a list of at most 20 version IDs'),
+  
+  body('fixVersions.*')
+    .isMongoId()
+    .withMessage('Each fix version must be a version ID'),
+  
+  body('affectsVersions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('affectsVersions must be a list of at most 20 version IDs'),
+  
+  body('affectsVersions.*')
+    .isMongoId()
+    .withMessage('Each affected version must be a version ID')
+];
+
+// Ticket component rules (component IDs of the ticket's project)
+const ticketComponentRules = [
+  body('components')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('components must be a list of at most 20 component IDs'),
+  
+  body('components.*')
+    .isMongoId()
+    .withMessage('Each component must be a component ID')
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Custom field values keyed by field key: text, number, boolean, null or a list of strings.
+// The values are checked against the project's field definitions in the controller
+const isCustomFieldValues = (value) => isPlainObject(value) &&
+  Object.entries(value).every(([key, fieldValue]) =>
+    CUSTOM_FIELD_KEY_PATTERN.test(key) && (
+      fieldValue === null ||
+      ['string', 'number', 'boolean'].includes(typeof fieldValue) ||
+      (Array.isArray(fieldValue) && fieldValue.length <= 100 && fieldValue.every(item => typeof item === 'string'))
+    )
+  );
+
+// Custom field filters of GET /api/tickets: customFields[key]=value
+const isCustomFieldFilters = (value) => isPlainObject(value) &&
+  Object.entries(value).every(([key, fieldValue]) =>
+    CUSTOM_FIELD_KEY_PATTERN.test(key) && typeof fieldValue === 'string' && fieldValue.length <= 500
+  );
+
+// Built-in ticket sort fields, or customFields.<key>
+const isTicketSortField = (value) =>
+  ['createdAt', 'updatedAt', 'priority', 'status', 'title'].includes(value) ||
+  (value.startsWith('customFields.') && CUSTOM_FIELD_KEY_PATTERN.test(value.slice('customFields.'.length)));
+
+// Ticket custom field rules (keys of the ticket's project custom fields)
+const ticketCustomFieldRules = [
+  body('customFields')
+    .optional()
+    .custom(isCustomFieldValues)
+    .withMessage('customFields must map custom field keys to text, numbers, dates, lists of options or null')
+];
+
 // Ticket creation validation rules
 const validateTicketCreation = [
   body('title')
@@ -187,6 +413,16 @@ const validateTicketCreation = [
     .isLength({ min: 1, max: 30 })
     .withMessage('Each tag must be between 1 and 30 characters'),
   
+  body('parent')
+    .optional()
+    .isString()
+    .custom((value) => /^[0-9a-fA-F]{24}$/.test(value) || TICKET_KEY_PATTERN.test(value.toUpperCase()))
+    .withMessage('Parent must be a ticket ID or key'),
+  
+  ...ticketVersionRules,
+  ...ticketComponentRules,
+  ...ticketCustomFieldRules,
+  
   handleValidationErrors
 ];
 
@@ -206,7 +442,9 @@ const validateTicketUpdate = [
   
   body('status')
     .optional()
-    .isIn(['OPEN', 'IN_PROGRESS', 'RESOLVED', 'CLOSED'])
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z][A-Z0-9_]*$/)
     .withMessage('Invalid status'),
   
   body('priority')
@@ -235,59 +473,998 @@ const validateTicketUpdate = [
       return true;
     }),
   
+  body('resolution')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Resolution cannot be more than 500 characters'),
+  
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Status change comment cannot be more than 500 characters'),
+  
+  body('overrideWipLimit')
+    .optional()
+    .isBoolean()
+    .withMessage('overrideWipLimit must be a boolean')
+    .toBoolean(),
+  
+  ...ticketVersionRules,
+  ...ticketComponentRules,
+  ...ticketCustomFieldRules,
+  
   handleValidationErrors
 ];
 
-// MongoDB ObjectId validation
-const validateObjectId = (paramName) => [
-  param(paramName)
+// Project invitation validation
+const validateProjectInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  body('role')
+    .optional()
+    .isIn(['VIEWER', 'CONTRIBUTOR', 'MANAGER'])
+    .withMessage('Role must be VIEWER, CONTRIBUTOR, or MANAGER'),
+  
+  handleValidationErrors
+];
+
+// Project team grant validation
+const validateProjectTeam = [
+  body('teamId')
     .isMongoId()
-    .withMessage(`Invalid ${paramName} format`),
+    .withMessage('Invalid team ID'),
+  
+  body('role')
+    .optional()
+    .isIn(['VIEWER', 'CONTRIBUTOR', 'MANAGER'])
+    .withMessage('Role must be VIEWER, CONTRIBUTOR, or MANAGER'),
   
   handleValidationErrors
 ];
 
-// Query parameter validation for filtering
-const validateTicketQuery = [
-  query('status')
+// Project team role update validation
+const validateProjectTeamRole = [
+  body('role')
+    .isIn(['VIEWER', 'CONTRIBUTOR', 'MANAGER'])
+    .withMessage('Role must be VIEWER, CONTRIBUTOR, or MANAGER'),
+  
+  handleValidationErrors
+];
+
+// Team creation validation
+const validateTeamCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Team name must be between 2 and 100 characters'),
+  
+  body('description')
     .optional()
-    .isIn(['OPEN', 'IN_PROGRESS', 'RESOLVED', 'CLOSED'])
-    .withMessage('Invalid status filter'),
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
   
-  query('priority')
+  handleValidationErrors
+];
+
+// Team update validation
+const validateTeamUpdate = [
+  body('name')
     .optional()
-    .isIn(['LOW', 'MEDIUM', 'HIGH'])
-    .withMessage('Invalid priority filter'),
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Team name must be between 2 and 100 characters'),
   
-  query('assignedTo')
+  body('description')
     .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Team member validation
+const validateTeamMember = [
+  body('userId')
     .isMongoId()
-    .withMessage('Invalid assignedTo user ID'),
+    .withMessage('Invalid user ID'),
   
-  query('project')
+  body('role')
     .optional()
-    .isMongoId()
-    .withMessage('Invalid project ID'),
+    .isIn(TEAM_ROLES)
+    .withMessage(`Role must be one of: ${TEAM_ROLES.join(', ')}`),
   
-  query('page')
+  handleValidationErrors
+];
+
+// Team member role update validation
+const validateTeamMemberRole = [
+  body('role')
+    .isIn(TEAM_ROLES)
+    .withMessage(`Role must be one of: ${TEAM_ROLES.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+// Sprint creation validation
+const validateSprintCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sprint name must be between 1 and 100 characters'),
+  
+  body('goal')
     .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Sprint goal cannot be more than 500 characters'),
   
-  query('limit')
+  body('startDate')
     .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100'),
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
   
-  query('sortBy')
+  body('endDate')
     .optional()
-    .isIn(['createdAt', 'updatedAt', 'priority', 'status', 'title'])
-    .withMessage('Invalid sort field'),
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
   
-  query('sortOrder')
+  handleValidationErrors
+];
+
+// Sprint update validation
+const validateSprintUpdate = [
+  body('name')
     .optional()
-    .isIn(['asc', 'desc'])
-    .withMessage('Sort order must be asc or desc'),
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sprint name must be between 1 and 100 characters'),
+  
+  body('goal')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Sprint goal cannot be more than 500 characters'),
+  
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Sprint list query validation
+const validateSprintQuery = [
+  query('state')
+    .optional()
+    .isIn(SPRINT_STATES)
+    .withMessage(`State must be one of: ${SPRINT_STATES.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+// Tickets added to a sprint (IDs or keys)
+const validateSprintTickets = [
+  body('ticketIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Provide between 1 and 100 ticketIds'),
+  
+  body('ticketIds.*')
+    .isString()
+    .custom((value) => /^[0-9a-fA-F]{24}$/.test(value) || TICKET_KEY_PATTERN.test(value.toUpperCase()))
+    .withMessage('Each ticket must be a ticket ID or key'),
+  
+  handleValidationErrors
+];
+
+// Sprint completion validation
+const validateSprintCompletion = [
+  body('carryOverTo')
+    .optional()
+    .custom((value) => ['BACKLOG', 'NEXT'].includes(value) || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('carryOverTo must be BACKLOG, NEXT or a sprint ID'),
+  
+  handleValidationErrors
+];
+
+// Version creation validation
+const validateVersionCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Version name must be between 1 and 50 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  body('releaseDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Release date must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Version update validation
+const validateVersionUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Version name must be between 1 and 50 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  body('releaseDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Release date must be a valid date'),
+  
+  body('archived')
+    .optional()
+    .isBoolean()
+    .withMessage('archived must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Version list query validation
+const validateVersionQuery = [
+  query('released')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('released must be true or false'),
+  
+  query('includeArchived')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeArchived must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Version release validation
+const validateVersionRelease = [
+  body('moveOpenTicketsTo')
+    .optional()
+    .isMongoId()
+    .withMessage('moveOpenTicketsTo must be a version ID'),
+  
+  body('releaseDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Release date must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Release notes query validation
+const validateReleaseNotesQuery = [
+  query('format')
+    .optional()
+    .isIn(['markdown', 'html', 'json'])
+    .withMessage('Format must be markdown, html or json'),
+  
+  handleValidationErrors
+];
+
+// Component creation validation
+const validateComponentCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Component name must be between 1 and 50 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  body('lead')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Component lead must be a user ID'),
+  
+  body('defaultAssignee')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Default assignee must be a user ID'),
+  
+  handleValidationErrors
+];
+
+// Component update validation (null clears the lead / default assignee)
+const validateComponentUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Component name must be between 1 and 50 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  body('lead')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Component lead must be a user ID'),
+  
+  body('defaultAssignee')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Default assignee must be a user ID'),
+  
+  handleValidationErrors
+];
+
+// Project statistics query validation
+const validateProjectStatsQuery = [
+  query('component')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid component ID'),
+  
+  handleValidationErrors
+];
+
+// Custom field creation validation
+const validateCustomFieldCreation = [
+  body('key')
+    .matches(CUSTOM_FIELD_KEY_PATTERN)
+    .withMessage('Key must start with a lowercase letter and use lowercase letters, digits and underscores (max 30)'),
+  
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Custom field name must be between 1 and 50 characters'),
+  
+  body('type')
+    .isIn(CUSTOM_FIELD_TYPES)
+    .withMessage(`Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`),
+  
+  body('options')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Options must be a list of at most 100 values'),
+  
+  body('options.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each option must be between 1 and 100 characters'),
+  
+  body('required')
+    .optional()
+    .isBoolean()
+    .withMessage('required must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Custom field update validation (the key and type cannot change)
+const validateCustomFieldUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Custom field name must be between 1 and 50 characters'),
+  
+  body('options')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Options must be a list of at most 100 values'),
+  
+  body('options.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each option must be between 1 and 100 characters'),
+  
+  body('required')
+    .optional()
+    .isBoolean()
+    .withMessage('required must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Custom field key route parameter validation
+const validateCustomFieldKey = [
+  param('key')
+    .matches(CUSTOM_FIELD_KEY_PATTERN)
+    .withMessage('Invalid custom field key'),
+  
+  handleValidationErrors
+];
+
+// Invitation link token validation
+const validateInvitationToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation link'),
+  
+  handleValidationErrors
+];
+
+// Project workflow validation rules
+const validateProjectWorkflow = [
+  body('statuses')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Workflow must define between 1 and 20 statuses'),
+  
+  body('statuses.*.name')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z][A-Z0-9_]{0,29}$/)
+    .withMessage('Status names must start with a letter and contain only letters, numbers and underscores'),
+  
+  body('statuses.*.category')
+    .isIn(STATUS_CATEGORIES)
+    .withMessage(`Status category must be one of ${STATUS_CATEGORIES.join(', ')}`),
+  
+  body('initialStatus')
+    .trim()
+    .toUpperCase()
+    .notEmpty()
+    .withMessage('Initial status is required'),
+  
+  body('transitions')
+    .isArray()
+    .withMessage('Transitions must be an array'),
+  
+  body('transitions.*.from')
+    .trim()
+    .toUpperCase()
+    .notEmpty()
+    .withMessage('Transition source status is required'),
+  
+  body('transitions.*.to')
+    .trim()
+    .toUpperCase()
+    .notEmpty()
+    .withMessage('Transition target status is required'),
+  
+  body('transitions.*.requiredRole')
+    .optional()
+    .isIn(['VIEWER', 'CONTRIBUTOR', 'MANAGER'])
+    .withMessage('Transition role must be VIEWER, CONTRIBUTOR, or MANAGER'),
+  
+  body('transitions.*.requiredFields')
+    .optional()
+    .isArray()
+    .withMessage('Transition required fields must be an array'),
+  
+  body('transitions.*.requiredFields.*')
+    .isIn(TRANSITION_REQUIRED_FIELDS)
+    .withMessage(`Required fields must be one of ${TRANSITION_REQUIRED_FIELDS.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+// Comment creation validation rules
+const validateCommentCreation = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment must be between 1 and 5000 characters'),
+  
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID'),
+  
+  handleValidationErrors
+];
+
+// Comment update validation rules
+const validateCommentUpdate = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment must be between 1 and 5000 characters'),
+  
+  handleValidationErrors
+];
+
+// MongoDB ObjectId validation
+const validateObjectId = (paramName) => [
+  param(paramName)
+    .isMongoId()
+    .withMessage(`Invalid ${paramName} format`),
+  
+  handleValidationErrors
+];
+
+// Ticket link validation rules
+const validateTicketLink = [
+  body('type')
+    .isIn(['blocks', 'is-blocked-by', 'duplicates', 'is-duplicated-by', 'relates-to'])
+    .withMessage('Link type must be blocks, is-blocked-by, duplicates, is-duplicated-by, or relates-to'),
+  
+  body('ticket')
+    .isString()
+    .custom((value) => /^[0-9a-fA-F]{24}$/.test(value) || TICKET_KEY_PATTERN.test(value.toUpperCase()))
+    .withMessage('Linked ticket must be a ticket ID or key'),
+  
+  handleValidationErrors
+];
+
+// Ticket parent validation rules
+const validateTicketParent = [
+  body('parent')
+    .optional({ values: 'null' })
+    .isString()
+    .custom((value) => /^[0-9a-fA-F]{24}$/.test(value) || TICKET_KEY_PATTERN.test(value.toUpperCase()))
+    .withMessage('Parent must be a ticket ID or key'),
+  
+  handleValidationErrors
+];
+
+// Ticket ObjectId or key (e.g. API-123) validation, resolving keys to IDs
+const validateTicketId = (paramName) => [
+  param(paramName)
+    .custom((value) => /^[0-9a-fA-F]{24}$/.test(value) || TICKET_KEY_PATTERN.test(value.toUpperCase()))
+    .withMessage(`Invalid ${paramName} format`),
+  
+  handleValidationErrors,
+  
+  resolveTicketKey(paramName)
+];
+
+// Sprint filter values: a sprint ID, "active" or "backlog"
+const isSprintFilter = (value) => ['active', 'backlog'].includes(value) || /^[0-9a-fA-F]{24}$/.test(value);
+
+// Saved filter query rules (same parameters as GET /api/tickets)
+const savedFilterQueryRules = [
+  body('query')
+    .optional()
+    .isObject()
+    .withMessage('Query must be an object'),
+  
+  body('query.status')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z][A-Z0-9_]*$/)
+    .withMessage('Invalid status filter'),
+  
+  body('query.priority')
+    .optional({ values: 'falsy' })
+    .isIn(['LOW', 'MEDIUM', 'HIGH'])
+    .withMessage('Invalid priority filter'),
+  
+  body('query.type')
+    .optional({ values: 'falsy' })
+    .isIn(['BUG', 'FEATURE', 'ENHANCEMENT', 'TASK'])
+    .withMessage('Invalid type filter'),
+  
+  body('query.assignedTo')
+    .optional({ values: 'falsy' })
+    .custom((value) => value === 'me' || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('assignedTo must be a user ID or "me"'),
+  
+  body('query.project')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+  
+  body('query.search')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 500 })
+    .withMessage('Search must be at most 500 characters'),
+  
+  body('query.sprint')
+    .optional({ values: 'falsy' })
+    .custom(isSprintFilter)
+    .withMessage('sprint must be a sprint ID, "active" or "backlog"'),
+  
+  body('query.component')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid component ID'),
+  
+  body('query.customFields')
+    .optional({ values: 'falsy' })
+    .custom(isCustomFieldFilters)
+    .withMessage('customFields must map custom field keys to filter values'),
+  
+  body('query.sortBy')
+    .optional({ values: 'falsy' })
+    .custom(isTicketSortField)
+    .withMessage('Invalid sort field'),
+  
+  body('query.sortOrder')
+    .optional({ values: 'falsy' })
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+// Board query validation
+const validateBoardQuery = [
+  query('sprint')
+    .optional()
+    .custom(isSprintFilter)
+    .withMessage('sprint must be a sprint ID, "active" or "backlog"'),
+  
+  query('assignedTo')
+    .optional()
+    .custom((value) => value === 'me' || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('assignedTo must be a user ID or "me"'),
+  
+  query('type')
+    .optional()
+    .isIn(['BUG', 'FEATURE', 'ENHANCEMENT', 'TASK'])
+    .withMessage('Invalid type filter'),
+  
+  query('priority')
+    .optional()
+    .isIn(['LOW', 'MEDIUM', 'HIGH'])
+    .withMessage('Invalid priority filter'),
+  
+  handleValidationErrors
+];
+
+// Board WIP limits validation
+const validateWipLimits = [
+  body('wipLimits')
+    .isArray({ max: 50 })
+    .withMessage('wipLimits must be a list'),
+  
+  body('wipLimits.*.status')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z][A-Z0-9_]*$/)
+    .withMessage('Each WIP limit needs a valid status'),
+  
+  body('wipLimits.*.limit')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Each WIP limit must be between 1 and 1000')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Board move validation
+const validateBoardMove = [
+  body('status')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z][A-Z0-9_]*$/)
+    .withMessage('Invalid status'),
+  
+  body('afterTicket')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('afterTicket must be a ticket ID'),
+  
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Status change comment cannot be more than 500 characters'),
+  
+  body('overrideWipLimit')
+    .optional()
+    .isBoolean()
+    .withMessage('overrideWipLimit must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Saved filter creation validation rules
+const validateSavedFilterCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Filter name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  body('visibility')
+    .optional()
+    .isIn(['PRIVATE', 'PROJECT', 'GLOBAL'])
+    .withMessage('Visibility must be PRIVATE, PROJECT, or GLOBAL'),
+  
+  body('project')
+    .if(body('visibility').equals('PROJECT'))
+    .isMongoId()
+    .withMessage('A valid project ID is required for project-shared filters'),
+  
+  ...savedFilterQueryRules,
+  
+  handleValidationErrors
+];
+
+// Saved filter update validation rules
+const validateSavedFilterUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Filter name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  body('visibility')
+    .optional()
+    .isIn(['PRIVATE', 'PROJECT', 'GLOBAL'])
+    .withMessage('Visibility must be PRIVATE, PROJECT, or GLOBAL'),
+  
+  body('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+  
+  ...savedFilterQueryRules,
+  
+  handleValidationErrors
+];
+
+// Ticket move validation rules
+const validateTicketMove = [
+  body('project')
+    .isMongoId()
+    .withMessage('Invalid destination project ID'),
+  
+  handleValidationErrors
+];
+
+// Bulk ticket operation validation rules
+const validateBulkOperation = [
+  body('operation')
+    .isIn(['STATUS', 'PRIORITY', 'ASSIGN', 'UNASSIGN', 'ADD_TAGS', 'REMOVE_TAGS', 'MOVE', 'DELETE'])
+    .withMessage('Operation must be STATUS, PRIORITY, ASSIGN, UNASSIGN, ADD_TAGS, REMOVE_TAGS, MOVE, or DELETE'),
+  
+  body('ticketIds')
+    .if(body('filterId').not().exists())
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Provide between 1 and 100 ticketIds, or a filterId'),
+  
+  body('ticketIds.*')
+    .isString()
+    .custom((value) => /^[0-9a-fA-F]{24}$/.test(value) || TICKET_KEY_PATTERN.test(value.toUpperCase()))
+    .withMessage('Each ticket must be a ticket ID or key'),
+  
+  body('filterId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid filter ID'),
+  
+  body('value')
+    .custom((value, { req }) => {
+      const isId = (v) => typeof v === 'string' && /^[0-9a-fA-F]{24}$/.test(v);
+      const isTagList = (v) => Array.isArray(v) && v.length > 0 &&
+        v.every(tag => typeof tag === 'string' && tag.trim().length >= 1 && tag.trim().length <= 30);
+
+      switch (req.body.operation) {
+        case 'STATUS':
+          if (typeof value !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(value)) throw new Error('Value must be a status');
+          break;
+        case 'PRIORITY':
+          if (!['LOW', 'MEDIUM', 'HIGH'].includes(value)) throw new Error('Value must be LOW, MEDIUM, or HIGH');
+          break;
+        case 'ASSIGN':
+          if (!isId(value)) throw new Error('Value must be a user ID');
+          break;
+        case 'MOVE':
+          if (!isId(value)) throw new Error('Value must be a project ID');
+          break;
+        case 'ADD_TAGS':
+        case 'REMOVE_TAGS':
+          if (!isTagList(value)) throw new Error('Value must be a list of tags (1-30 characters each)');
+          break;
+        default:
+          break;
+      }
+      return true;
+    }),
+  
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Status change comment cannot be more than 500 characters'),
+  
+  body('overrideWipLimit')
+    .optional()
+    .isBoolean()
+    .withMessage('overrideWipLimit must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Search query validation
+const validateSearchQuery = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Search query must be between 1 and 500 characters'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+// Pagination-only query validation
+const validatePagination = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+// Audit log query validation
+const validateAuditQuery = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor user ID'),
+  
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+  
+  query('targetType')
+    .optional()
+    .isIn(AUDIT_TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${AUDIT_TARGET_TYPES.join(', ')}`),
+  
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+// Query parameter validation for filtering
+const validateTicketQuery = [
+  query('status')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z][A-Z0-9_]*$/)
+    .withMessage('Invalid status filter'),
+  
+  query('priority')
+    .optional()
+    .isIn(['LOW', 'MEDIUM', 'HIGH'])
+    .withMessage('Invalid priority filter'),
+  
+  query('assignedTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid assignedTo user ID'),
+  
+  query('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+  
+  query('search')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Search must be at most 500 characters'),
+  
+  query('sprint')
+    .optional()
+    .custom(isSprintFilter)
+    .withMessage('sprint must be a sprint ID, "active" or "backlog"'),
+  
+  query('component')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid component ID'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('customFields')
+    .optional()
+    .custom(isCustomFieldFilters)
+    .withMessage('customFields must map custom field keys to filter values'),
+  
+  query('sortBy')
+    .optional()
+    .custom(isTicketSortField)
+    .withMessage('Invalid sort field'),
+  
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
   
   handleValidationErrors
 ];
@@ -295,11 +1472,60 @@ const validateTicketQuery = [
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateRefreshToken,
+  validateEmailVerificationToken,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateSecurityPolicy,
+  validateApiTokenCreation,
   validateProjectCreation,
   validateProjectUpdate,
+  validateProjectWorkflow,
+  validateProjectInvitation,
+  validateInvitationToken,
+  validateProjectTeam,
+  validateProjectTeamRole,
+  validateTeamCreation,
+  validateTeamUpdate,
+  validateTeamMember,
+  validateTeamMemberRole,
+  validateSprintCreation,
+  validateSprintUpdate,
+  validateSprintQuery,
+  validateSprintTickets,
+  validateSprintCompletion,
+  validateBoardQuery,
+  validateWipLimits,
+  validateBoardMove,
+  validateVersionCreation,
+  validateVersionUpdate,
+  validateVersionQuery,
+  validateVersionRelease,
+  validateReleaseNotesQuery,
+  validateComponentCreation,
+  validateComponentUpdate,
+  validateProjectStatsQuery,
+  validateCustomFieldCreation,
+  validateCustomFieldUpdate,
+  validateCustomFieldKey,
   validateTicketCreation,
   validateTicketUpdate,
+  validateCommentCreation,
+  validateCommentUpdate,
+  validateTicketLink,
+  validateTicketParent,
   validateObjectId,
+  validateTicketId,
   validateTicketQuery,
+  validateSearchQuery,
+  validatePagination,
+  validateAuditQuery,
+  validateBulkOperation,
+  validateTicketMove,
+  validateSavedFilterCreation,
+  validateSavedFilterUpdate,
   handleValidationErrors
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Prefix telling personal API tokens apart from JWTs
+const TOKEN_PREFIX = 'bt_';
+
+const API_TOKEN_SCOPES = [
+  'tickets:read',
+  'tickets:write',
+  'projects:read',
+  'projects:write',
+  'users:read',
+  'users:write'
+];
+
+// Only write lastUsedAt once per interval
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token owner is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters']
+  },
+  // SHA-256 of the token; the token itself is only shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // First characters of the token, to recognise it in listings
+  tokenPrefix: String,
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_TOKEN_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiry is required']
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+apiTokenSchema.index({ tokenHash: 1 }, { unique: true });
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Static method to create a token, returning it with the plain token value
+apiTokenSchema.statics.issue = async function({ user, name, scopes, expiresAt }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiToken = await this.create({
+    user: user._id,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.substring(0, TOKEN_PREFIX.length + 6),
+    scopes,
+    expiresAt
+  });
+
+  return { apiToken, token };
+};
+
+// Static method to find the unexpired, unrevoked token matching a plain value
+apiTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Instance method to record usage, at most once per interval
+apiTokenSchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ip } }
+  );
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
+module.exports.TOKEN_PREFIX = TOKEN_PREFIX;
+module.exports.API_TOKEN_SCOPES = API_TOKEN_SCOPES;
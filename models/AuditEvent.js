@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Administrative actions recorded in the audit log
+const AUDIT_ACTIONS = [
+  'USER_ROLE_CHANGED',
+  'USER_STATUS_CHANGED',
+  'USER_DELETED',
+  'USER_DEACTIVATED',
+  'PROJECT_DELETED',
+  'PROJECT_ARCHIVED',
+  'PROJECT_MEMBER_ADDED',
+  'PROJECT_MEMBER_REMOVED',
+  'PROJECT_MEMBER_ROLE_CHANGED',
+  'PROJECT_INVITATION_CREATED',
+  'PROJECT_INVITATION_REVOKED',
+  'PROJECT_TEAM_ADDED',
+  'PROJECT_TEAM_REMOVED',
+  'PROJECT_TEAM_ROLE_CHANGED',
+  'TEAM_CREATED',
+  'TEAM_DELETED',
+  'TEAM_MEMBER_ADDED',
+  'TEAM_MEMBER_REMOVED',
+  'TEAM_MEMBER_ROLE_CHANGED',
+  'SECURITY_POLICY_CHANGED',
+  'LOGIN_FAILED',
+  'ACCOUNT_LOCKED',
+  'ACCOUNT_UNLOCKED'
+];
+
+const AUDIT_TARGET_TYPES = ['USER', 'PROJECT', 'TEAM', 'POLICY'];
+
+const auditEventSchema = new mongoose.Schema({
+  // Missing for actions run outside the API (e.g. scripts)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Actor email at the time of the action, kept if the user is deleted later
+  actorEmail: String,
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Audit action is required']
+  },
+  target: {
+    type: {
+      type: String,
+      enum: AUDIT_TARGET_TYPES,
+      required: [true, 'Audit target type is required']
+    },
+    // Missing when the target does not exist (e.g. failed login for an unknown email)
+    id: mongoose.Schema.Types.ObjectId,
+    // Display name at the time of the action
+    name: String
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  source: {
+    type: String,
+    enum: ['API', 'SCRIPT'],
+    default: 'API'
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.id': 1, createdAt: -1 });
+
+// Audit events are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit events cannot be modified or deleted'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditEventSchema.pre(operation, rejectChange);
+});
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.AUDIT_TARGET_TYPES = AUDIT_TARGET_TYPES;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: [true, 'Ticket is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Comment author is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters']
+  },
+  // Top-level comment this one replies to (null for thread starters)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Project members mentioned with @name or @email
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Previous versions of the body, oldest first
+  revisions: [{
+    body: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: Date,
+  // Soft delete keeps the thread structure intact
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+commentSchema.index({ ticket: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ author: 1 });
+commentSchema.index({ body: 'text' }, { name: 'comment_text' });
+
+// Instance method to replace the body while keeping the previous revision
+commentSchema.methods.edit = function(newBody) {
+  this.revisions.push({
+    body: this.body,
+    editedAt: new Date()
+  });
+  this.body = newBody;
+  this.editedAt = new Date();
+};
+
+// Transform output (hide content of deleted comments)
+commentSchema.methods.toJSON = function() {
+  const comment = this.toObject();
+  if (comment.isDeleted) {
+    comment.body = null;
+    comment.mentions = [];
+    comment.revisions = [];
+  }
+  return comment;
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 
+const PROJECT_ROLES = ['VIEWER', 'CONTRIBUTOR', 'MANAGER'];
+
+// Built-in categories every workflow status maps onto
+const STATUS_CATEGORIES = ['OPEN', 'IN_PROGRESS', 'RESOLVED', 'CLOSED'];
+
+// Short uppercase prefix used in ticket keys (e.g. API-123)
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+// Ticket fields a transition can require to be filled in
+const TRANSITION_REQUIRED_FIELDS = ['resolution', 'comment', 'assignedTo', 'actualHours', 'dueDate'];
+
+// Value types of project custom fields
+const CUSTOM_FIELD_TYPES = ['TEXT', 'NUMBER', 'DATE', 'SELECT', 'MULTI_SELECT', 'USER'];
+
+// Custom field keys are stored on tickets as customFields.<key>
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+
+// Default workflow mirroring the original four statuses, any-to-any
+const DEFAULT_STATUSES = STATUS_CATEGORIES.map(name => ({ name, category: name }));
+const DEFAULT_WORKFLOW = {
+  statuses: DEFAULT_STATUSES,
+  initialStatus: 'OPEN',
+  transitions: DEFAULT_STATUSES.flatMap(from =>
+    DEFAULT_STATUSES
+      .filter(to => to.name !== from.name)
+      .map(to => ({
+        from: from.name,
+        to: to.name,
+        requiredRole: 'CONTRIBUTOR',
+        requiredFields: []
+      }))
+  )
+};
+
 const projectSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -8,6 +42,25 @@ const projectSchema = new mongoose.Schema({
     maxlength: [100, 'Project name cannot be more than 100 characters'],
     unique: true
   },
+  // Ticket key prefix, e.g. API for API-123
+  key: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+    match: [PROJECT_KEY_PATTERN, 'Project key must be 2-10 uppercase letters or digits, starting with a letter']
+  },
+  // Former keys, kept so old ticket keys still resolve
+  previousKeys: [{
+    type: String,
+    uppercase: true
+  }],
+  // Last ticket number issued for this project
+  ticketSequence: {
+    type: Number,
+    default: 0
+  },
   description: {
     type: String,
     required: [true, 'Project description is required'],
@@ -56,7 +109,136 @@ const projectSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     }
-  }]
+  }],
+  // Teams granted a role on this project
+  teams: [{
+    _id: false,
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: PROJECT_ROLES,
+      default: 'CONTRIBUTOR'
+    },
+    // Copy of the team's members, kept in sync by the Team model
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Sub-areas of the project (e.g. auth, billing) tickets can be filed against
+  components: [{
+    name: {
+      type: String,
+      required: [true, 'Component name is required'],
+      trim: true,
+      maxlength: [50, 'Component name cannot be more than 50 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    // Owner of the component
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // New tickets filed against the component without an assignee go to this user
+    defaultAssignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  }],
+  // Extra ticket fields defined by the project; key and type can't change once created
+  customFields: [{
+    key: {
+      type: String,
+      required: [true, 'Custom field key is required'],
+      match: [CUSTOM_FIELD_KEY_PATTERN, 'Custom field key must be lowercase letters, digits and underscores']
+    },
+    name: {
+      type: String,
+      required: [true, 'Custom field name is required'],
+      trim: true,
+      maxlength: [50, 'Custom field name cannot be more than 50 characters']
+    },
+    type: {
+      type: String,
+      enum: CUSTOM_FIELD_TYPES,
+      required: [true, 'Custom field type is required']
+    },
+    // Allowed values of SELECT and MULTI_SELECT fields
+    options: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Option cannot be more than 100 characters']
+    }],
+    required: {
+      type: Boolean,
+      default: false
+    },
+    // Applied to new tickets that leave the field empty
+    defaultValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }],
+  // Board work-in-progress limits per status column
+  wipLimits: [{
+    _id: false,
+    status: {
+      type: String,
+      required: true
+    },
+    limit: {
+      type: Number,
+      required: true,
+      min: [1, 'WIP limit must be at least 1']
+    }
+  }],
+  // Custom ticket workflow (falls back to DEFAULT_WORKFLOW when unset)
+  workflow: {
+    statuses: [{
+      _id: false,
+      name: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z][A-Z0-9_]*$/, 'Status names may only contain letters, numbers and underscores'],
+        maxlength: [30, 'Status name cannot be more than 30 characters']
+      },
+      category: {
+        type: String,
+        enum: STATUS_CATEGORIES,
+        default: 'OPEN'
+      }
+    }],
+    initialStatus: String,
+    transitions: [{
+      _id: false,
+      from: String,
+      to: String,
+      requiredRole: {
+        type: String,
+        enum: PROJECT_ROLES,
+        default: 'CONTRIBUTOR'
+      },
+      requiredFields: [{
+        type: String,
+        enum: TRANSITION_REQUIRED_FIELDS
+      }]
+    }]
+  }
 }, {
   timestamps: true
 });
@@ -67,6 +249,9 @@ projectSchema.index({ createdBy: 1 });
 projectSchema.index({ status: 1 });
 projectSchema.index({ isActive: 1 });
 projectSchema.index({ 'members.user': 1 });
+projectSchema.index({ 'teams.members': 1 });
+projectSchema.index({ 'teams.team': 1 });
+projectSchema.index({ previousKeys: 1 });
 
 // Virtual for ticket count
 projectSchema.virtual('ticketCount', {
@@ -81,17 +266,84 @@ projectSchema.statics.findActiveProjects = function() {
   return this.find({ isActive: true }).populate('createdBy', 'name email');
 };
 
+// Static method to derive an unused ticket key prefix from a project name
+projectSchema.statics.generateUniqueKey = async function(name) {
+  const words = name.toUpperCase().replace(/[^A-Z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+  let base = words.length > 1
+    ? words.map(word => word[0]).join('')
+    : (words[0] || '').substring(0, 4);
+  base = base.replace(/^[0-9]+/, '').substring(0, 8);
+  if (base.length < 2) base = `${base}PRJ`.substring(0, 3);
+
+  for (let suffix = 0; ; suffix++) {
+    const candidate = suffix === 0 ? base : `${base}${suffix}`;
+    const taken = await this.exists({
+      $or: [{ key: candidate }, { previousKeys: candidate }]
+    });
+    if (!taken) return candidate;
+  }
+};
+
+// Static method to atomically reserve the next ticket number
+projectSchema.statics.nextTicketNumber = async function(projectId) {
+  const project = await this.findByIdAndUpdate(
+    projectId,
+    { $inc: { ticketSequence: 1 } },
+    { new: true, select: 'ticketSequence' }
+  );
+  return project.ticketSequence;
+};
+
+// Static method to build the query matching projects a user can access
+// (as creator, member, or through a team)
+projectSchema.statics.accessQuery = function(userId) {
+  return {
+    $or: [
+      { createdBy: userId },
+      { 'members.user': userId },
+      { 'teams.members': userId }
+    ]
+  };
+};
+
 // Static method to find projects by user
 projectSchema.statics.findProjectsByUser = function(userId) {
   return this.find({
-    $or: [
-      { createdBy: userId },
-      { 'members.user': userId }
-    ],
+    ...this.accessQuery(userId),
     isActive: true
   }).populate('createdBy', 'name email');
 };
 
+// Static method to get IDs of active projects a user can access
+projectSchema.statics.findAccessibleProjectIds = async function(userId) {
+  const projects = await this.find({
+    ...this.accessQuery(userId),
+    isActive: true
+  }).select('_id');
+
+  return projects.map(project => project._id);
+};
+
+const roleHierarchy = { VIEWER: 1, CONTRIBUTOR: 2, MANAGER: 3 };
+
+// Instance method to get a member's effective role: the highest of their
+// direct membership and the roles granted to their teams
+projectSchema.methods.getMemberRole = function(userId) {
+  const id = userId.toString();
+  const roles = this.members
+    .filter(m => m.user.toString() === id)
+    .map(m => m.role);
+
+  (this.teams || []).forEach(grant => {
+    if (grant.members.some(member => member.toString() === id)) {
+      roles.push(grant.role);
+    }
+  });
+
+  if (roles.length === 0) return null;
+  return roles.reduce((best, role) => (roleHierarchy[role] > roleHierarchy[best] ? role : best));
+};
+
 // Instance method to check if user has access to project
 projectSchema.methods.hasAccess = function(userId, requiredRole = 'VIEWER') {
   // Creator always has full access
@@ -99,12 +351,68 @@ projectSchema.methods.hasAccess = function(userId, requiredRole = 'VIEWER') {
     return true;
   }
 
-  // Check if user is a member with required role
-  const member = this.members.find(m => m.user.toString() === userId.toString());
-  if (!member) return false;
+  // Check if user is a member (directly or through a team) with required role
+  const role = this.getMemberRole(userId);
+  if (!role) return false;
+
+  return roleHierarchy[role] >= roleHierarchy[requiredRole];
+};
+
+// Instance method to get the IDs of everyone with access (creator, members, team members)
+projectSchema.methods.getMemberUserIds = function() {
+  const ids = [
+    this.createdBy,
+    ...this.members.map(member => member.user),
+    ...(this.teams || []).flatMap(grant => grant.members)
+  ];
+
+  const seen = new Set();
+  return ids.filter(id => {
+    const key = id.toString();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Instance method to get the effective ticket workflow
+projectSchema.methods.getWorkflow = function() {
+  if (!this.workflow || !this.workflow.statuses || this.workflow.statuses.length === 0) {
+    return DEFAULT_WORKFLOW;
+  }
+  return this.workflow;
+};
+
+// Instance method to check whether a status exists in the workflow
+projectSchema.methods.hasStatus = function(status) {
+  return this.getWorkflow().statuses.some(s => s.name === status);
+};
+
+// Instance method to get the built-in category of a workflow status
+projectSchema.methods.getStatusCategory = function(status) {
+  const match = this.getWorkflow().statuses.find(s => s.name === status);
+  return match ? match.category : undefined;
+};
+
+// Instance method to find a component by ID
+projectSchema.methods.findComponent = function(componentId) {
+  return this.components.find(component => component._id.toString() === componentId.toString());
+};
+
+// Instance method to find a custom field definition by key
+projectSchema.methods.findCustomField = function(key) {
+  return this.customFields.find(field => field.key === key);
+};
+
+// Instance method to get the WIP limit of a status column (null when unlimited)
+projectSchema.methods.getWipLimit = function(status) {
+  const entry = (this.wipLimits || []).find(w => w.status === status);
+  return entry ? entry.limit : null;
+};
 
-  const roleHierarchy = { VIEWER: 1, CONTRIBUTOR: 2, MANAGER: 3 };
-  return roleHierarchy[member.role] >= roleHierarchy[requiredRole];
+// Instance method to find the transition between two statuses
+projectSchema.methods.findTransition = function(from, to) {
+  return this.getWorkflow().transitions.find(t => t.from === from && t.to === to);
 };
 
 // Pre-remove middleware to handle cascading deletes
@@ -120,4 +428,10 @@ projectSchema.pre('remove', async function(next) {
 
 const Project = mongoose.model('Project', projectSchema);
 
-module.exports = Project;
\ No newline at end of file
+module.exports = Project;
+module.exports.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
+module.exports.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
+module.exports.CUSTOM_FIELD_KEY_PATTERN = CUSTOM_FIELD_KEY_PATTERN;
+module.exports.PROJECT_KEY_PATTERN = PROJECT_KEY_PATTERN;
+module.exports.STATUS_CATEGORIES = STATUS_CATEGORIES;
+module.exports.TRANSITION_REQUIRED_FIELDS = TRANSITION_REQUIRED_FIELDS;
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Invitations are valid for 7 days unless configured otherwise
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const projectInvitationSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Invitee email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['VIEWER', 'CONTRIBUTOR', 'MANAGER'],
+    default: 'CONTRIBUTOR'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token in the invitation link
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED', 'EXPIRED'],
+    default: 'PENDING'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+projectInvitationSchema.index({ tokenHash: 1 });
+projectInvitationSchema.index({ email: 1, status: 1 });
+// One open invitation per project and email
+projectInvitationSchema.index(
+  { project: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+
+// Static method to create an invitation, returning it with the plain link token
+projectInvitationSchema.statics.issue = async function({ project, email, role, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const invitation = await this.create({
+    project: project._id,
+    email,
+    role,
+    invitedBy: invitedBy._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find the pending, unexpired invitation for a link token
+projectInvitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    status: 'PENDING',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to find pending, unexpired invitations for an email address
+projectInvitationSchema.statics.findPendingForEmail = function(email) {
+  return this.find({
+    email: email.toLowerCase(),
+    status: 'PENDING',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to close pending invitations that have expired, so new ones can be sent
+projectInvitationSchema.statics.expireStale = function(projectId, email) {
+  return this.updateMany(
+    { project: projectId, email: email.toLowerCase(), status: 'PENDING', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'EXPIRED' } }
+  );
+};
+
+const ProjectInvitation = mongoose.model('ProjectInvitation', projectInvitationSchema);
+
+module.exports = ProjectInvitation;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const savedFilterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Filter name is required'],
+    trim: true,
+    maxlength: [100, 'Filter name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Filter owner is required']
+  },
+  // PRIVATE: owner only, PROJECT: members of `project`, GLOBAL: everyone
+  visibility: {
+    type: String,
+    enum: ['PRIVATE', 'PROJECT', 'GLOBAL'],
+    default: 'PRIVATE'
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [
+      function() { return this.visibility === 'PROJECT'; },
+      'Project is required for project-shared filters'
+    ]
+  },
+  // Same parameters as GET /api/tickets
+  query: {
+    status: String,
+    priority: String,
+    type: { type: String },
+    assignedTo: String, // user ID or "me" (the user running the filter)
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    search: String,
+    sprint: String, // sprint ID, "active" or "backlog"
+    component: String,
+    customFields: mongoose.Schema.Types.Mixed, // { key: value } filters, needs `project`
+    sortBy: String,
+    sortOrder: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+savedFilterSchema.index({ owner: 1, name: 1 }, { unique: true });
+savedFilterSchema.index({ visibility: 1, project: 1 });
+
+// Static method to find filters visible to a user
+savedFilterSchema.statics.findVisibleTo = function(user, accessibleProjectIds) {
+  const conditions = [
+    { owner: user._id },
+    { visibility: 'GLOBAL' },
+    user.role === 'ADMIN'
+      ? { visibility: 'PROJECT' }
+      : { visibility: 'PROJECT', project: { $in: accessibleProjectIds } }
+  ];
+
+  return this.find({ $or: conditions });
+};
+
+// Instance method to check if a user can see (and run) this filter (owner/project may be populated)
+savedFilterSchema.methods.isVisibleTo = function(user, accessibleProjectIds) {
+  if ((this.owner._id || this.owner).toString() === user._id.toString()) return true;
+  if (this.visibility === 'GLOBAL' || user.role === 'ADMIN') return true;
+  if (this.visibility === 'PROJECT') {
+    const projectId = (this.project._id || this.project).toString();
+    return accessibleProjectIds.some(id => id.toString() === projectId);
+  }
+  return false;
+};
+
+const SavedFilter = mongoose.model('SavedFilter', savedFilterSchema);
+
+module.exports = SavedFilter;
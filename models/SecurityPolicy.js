@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Policies are read on every authenticated request, so cache them briefly
+const CACHE_TTL_MS = 30 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+// Single document holding system-wide security settings
+const securityPolicySchema = new mongoose.Schema({
+  requireTwoFactorForAdmins: {
+    type: Boolean,
+    default: false
+  },
+  // Unverified users cannot be added to projects or assigned tickets
+  requireVerifiedEmail: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the policy document, creating it on first use
+securityPolicySchema.statics.getCurrent = async function() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  cached = await this.findOneAndUpdate({}, {}, { upsert: true, new: true, setDefaultsOnInsert: true });
+  cachedAt = Date.now();
+  return cached;
+};
+
+// Drop the cached policy after saving so changes apply immediately
+securityPolicySchema.post('save', function() {
+  cached = null;
+});
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+module.exports = SecurityPolicy;
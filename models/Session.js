@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Refresh tokens stay valid for 30 days unless rotated or revoked
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Only touch lastUsedAt on authenticated requests once per interval
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session user is required']
+  },
+  // SHA-256 of the current refresh token of this token family
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out, kept to detect reuse
+  usedTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['LOGOUT', 'REVOKED', 'REUSE_DETECTED', 'PASSWORD_CHANGED']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ usedTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to start a session, returning it with its first refresh token
+sessionSchema.statics.start = async function(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await this.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Presenting an already rotated token revokes the whole session.
+sessionSchema.statics.rotate = async function(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+
+  const session = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashToken(nextToken), lastUsedAt: now, ip: req.ip, userAgent: req.get('User-Agent') },
+      $push: { usedTokenHashes: tokenHash }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  const reused = await this.findOne({ usedTokenHashes: tokenHash, revokedAt: null });
+  if (reused) {
+    await reused.revoke('REUSE_DETECTED');
+    return { reuseDetected: true };
+  }
+
+  return {};
+};
+
+// Static method to find an active session by ID
+sessionSchema.statics.findActive = function(sessionId) {
+  return this.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke all active sessions of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'REVOKED') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Instance method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'REVOKED') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { revokedAt: this.revokedAt, revokedReason: reason } }
+  );
+};
+
+// Instance method to record activity, at most once per interval
+sessionSchema.methods.touch = function() {
+  if (Date.now() - this.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+  this.lastUsedAt = new Date();
+  return this.constructor.updateOne({ _id: this._id }, { $set: { lastUsedAt: this.lastUsedAt } });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const SPRINT_STATES = ['PLANNED', 'ACTIVE', 'COMPLETED'];
+
+const sprintSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true,
+    maxlength: [100, 'Sprint name cannot be more than 100 characters']
+  },
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Sprint goal cannot be more than 500 characters']
+  },
+  startDate: Date,
+  endDate: Date,
+  state: {
+    type: String,
+    enum: SPRINT_STATES,
+    default: 'PLANNED'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: Date,
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Outcome recorded when the sprint is completed
+  completedTickets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  }],
+  carriedOverTickets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  }],
+  // Sprint the unfinished tickets went to (null: the backlog)
+  carriedOverTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sprintSchema.index({ project: 1, state: 1, startDate: 1 });
+// Only one active sprint per project
+sprintSchema.index(
+  { project: 1 },
+  { unique: true, partialFilterExpression: { state: 'ACTIVE' }, name: 'one_active_sprint_per_project' }
+);
+
+// Static method to find the active sprint of a project
+sprintSchema.statics.findActive = function(projectId) {
+  return this.findOne({ project: projectId, state: 'ACTIVE' });
+};
+
+// Static method to find the next planned sprint of a project (earliest start first)
+sprintSchema.statics.findNextPlanned = function(projectId, excludeId) {
+  const query = { project: projectId, state: 'PLANNED' };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return this.findOne(query).sort({ startDate: 1, createdAt: 1 });
+};
+
+const Sprint = mongoose.model('Sprint', sprintSchema);
+
+module.exports = Sprint;
+module.exports.SPRINT_STATES = SPRINT_STATES;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const TEAM_ROLES = ['MEMBER', 'LEAD'];
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [100, 'Team name cannot be more than 100 characters'],
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // LEADs can manage the team's membership
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: TEAM_ROLES,
+      default: 'MEMBER'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Team creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+teamSchema.index({ 'members.user': 1 });
+
+// Instance method to find a user's membership
+teamSchema.methods.findMember = function(userId) {
+  return this.members.find(member => member.user.toString() === userId.toString());
+};
+
+// Instance method to check if a user may manage the team (admin or team lead)
+teamSchema.methods.canManage = function(user) {
+  if (user.role === 'ADMIN') return true;
+  const member = this.findMember(user._id);
+  return Boolean(member && member.role === 'LEAD');
+};
+
+// Copy the member list onto every project grant of this team, so project
+// access checks stay synchronous
+teamSchema.post('save', async function() {
+  await mongoose.model('Project').updateMany(
+    { 'teams.team': this._id },
+    { $set: { 'teams.$[grant].members': this.members.map(member => member.user) } },
+    { arrayFilters: [{ 'grant.team': this._id }] }
+  );
+});
+
+const Team = mongoose.model('Team', teamSchema);
+
+module.exports = Team;
+module.exports.TEAM_ROLES = TEAM_ROLES;
@@ -1,6 +1,43 @@
 const mongoose = require('mongoose');
+const TicketHistory = require('./TicketHistory');
+
+// Human-readable ticket key, e.g. API-123
+const TICKET_KEY_PATTERN = /^([A-Z][A-Z0-9]{1,9})-(\d+)$/;
+
+// Link types stored on the source ticket; the inverse is derived on read
+const LINK_TYPES = ['BLOCKS', 'DUPLICATES', 'RELATES_TO'];
+
+// Status categories that count as done for blockers and subtasks
+const DONE_CATEGORIES = ['RESOLVED', 'CLOSED'];
+
+// Gap between neighbouring ranks in a board column
+const RANK_STEP = 1024;
+
+// Comparable form of a field value (ids instead of documents)
+const normalizeValue = (value) => {
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value && value._id) return value._id.toString();
+  return value === undefined ? null : value;
+};
+
+const snapshotTrackedFields = (ticket) => TicketHistory.TRACKED_FIELDS.reduce((snapshot, field) => {
+  snapshot[field] = normalizeValue(ticket.get(field));
+  return snapshot;
+}, {});
 
 const ticketSchema = new mongoose.Schema({
+  // Project key plus per-project sequence number
+  key: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  number: {
+    type: Number
+  },
+  // Keys this ticket had in projects it was moved out of
+  previousKeys: [String],
   title: {
     type: String,
     required: [true, 'Ticket title is required'],
@@ -13,12 +50,19 @@ const ticketSchema = new mongoose.Schema({
     trim: true,
     maxlength: [2000, 'Description cannot be more than 2000 characters']
   },
+  // Must be a status of the project's workflow (see Project.getWorkflow)
   status: {
     type: String,
-    enum: ['OPEN', 'IN_PROGRESS', 'RESOLVED', 'CLOSED'],
+    trim: true,
+    uppercase: true,
     default: 'OPEN',
     required: true
   },
+  // Built-in category of the workflow status, kept in sync on save
+  statusCategory: {
+    type: String,
+    enum: ['OPEN', 'IN_PROGRESS', 'RESOLVED', 'CLOSED']
+  },
   priority: {
     type: String,
     enum: ['LOW', 'MEDIUM', 'HIGH'],
@@ -67,10 +111,8 @@ const ticketSchema = new mongoose.Schema({
   }],
   // For tracking ticket history
   statusHistory: [{
-    status: {
-      type: String,
-      enum: ['OPEN', 'IN_PROGRESS', 'RESOLVED', 'CLOSED']
-    },
+    status: String,
+    fromStatus: String,
     changedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -81,10 +123,14 @@ const ticketSchema = new mongoose.Schema({
     },
     comment: String
   }],
-  // File attachments (for future enhancement)
+  // File attachments (blobs live in the storage driver, keyed by checksum)
   attachments: [{
     fileName: String,
     fileUrl: String,
+    mimeType: String,
+    size: Number,
+    checksum: String,
+    storageKey: String,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -94,8 +140,92 @@ const ticketSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Outgoing links to other tickets (e.g. this ticket BLOCKS another)
+  links: [{
+    type: {
+      type: String,
+      enum: LINK_TYPES,
+      required: true
+    },
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users who receive notifications about this ticket
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Parent ticket when this ticket is a subtask
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  // Components of the ticket's project (see Project.components)
+  components: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Values of the project's custom fields keyed by field key; replaced as a whole on change
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Versions of the ticket's project this ticket is fixed in / found in
+  fixVersions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Version'
+  }],
+  affectsVersions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Version'
+  }],
+  // Sprint of the ticket's project (null: the backlog)
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+  // Project moves, oldest first
+  moveHistory: [{
+    fromProject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    toProject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    fromKey: String,
+    toKey: String,
+    movedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    movedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolution: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Resolution cannot be more than 500 characters']
+  },
   resolvedAt: Date,
-  closedAt: Date
+  closedAt: Date,
+  // Manual order within the ticket's board column (lower ranks first)
+  rank: Number
 }, {
   timestamps: true
 });
@@ -109,42 +239,271 @@ ticketSchema.index({ createdBy: 1 });
 ticketSchema.index({ type: 1 });
 ticketSchema.index({ createdAt: -1 });
 
+// Full-text index for search (see utils/ticketSearch.js)
+ticketSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { name: 'ticket_text', weights: { title: 10, tags: 5, description: 1 } }
+);
+
 // Compound indexes for common queries
 ticketSchema.index({ project: 1, status: 1 });
+ticketSchema.index({ project: 1, statusCategory: 1 });
 ticketSchema.index({ assignedTo: 1, status: 1 });
 ticketSchema.index({ project: 1, assignedTo: 1 });
+ticketSchema.index({ project: 1, number: 1 });
+ticketSchema.index({ previousKeys: 1 });
+ticketSchema.index({ 'attachments.storageKey': 1 });
+ticketSchema.index({ 'links.ticket': 1 });
+ticketSchema.index({ parent: 1 });
+ticketSchema.index({ watchers: 1 });
+ticketSchema.index({ sprint: 1 });
+ticketSchema.index({ fixVersions: 1 });
+ticketSchema.index({ project: 1, components: 1 });
+ticketSchema.index({ affectsVersions: 1 });
+ticketSchema.index({ project: 1, status: 1, rank: 1 });
 
-// Pre-save middleware to track status changes
-ticketSchema.pre('save', function(next) {
-  // Track status history
-  if (this.isModified('status') && !this.isNew) {
-    this.statusHistory.push({
-      status: this.status,
-      changedBy: this.modifiedBy || this.createdBy, // modifiedBy should be set in controller
-      changedAt: new Date()
-    });
-  }
+// Remember the persisted status so transitions can be checked on save
+ticketSchema.post('init', function() {
+  this.$locals.previousStatus = this.status;
+  this.$locals.snapshot = snapshotTrackedFields(this);
+});
 
-  // Set resolved/closed timestamps
-  if (this.isModified('status')) {
-    if (this.status === 'RESOLVED' && !this.resolvedAt) {
+// Pre-save middleware to enforce the project workflow and track status changes
+ticketSchema.pre('save', async function(next) {
+  if (!this.isModified('status') && !this.isModified('project') && !this.isNew) return next();
+
+  try {
+    const project = await mongoose.model('Project').findById(this.project._id);
+    if (!project) {
+      return next(new Error('Project not found for ticket'));
+    }
+
+    if (!project.hasStatus(this.status)) {
+      const error = new Error(`Status ${this.status} is not part of this project's workflow`);
+      error.statusCode = 400;
+      return next(error);
+    }
+
+    const previousStatus = this.$locals.previousStatus;
+    if (!this.isNew && previousStatus !== this.status) {
+      // skipTransitionCheck is set when a move resets the status to the new project's workflow
+      if (!this.$locals.skipTransitionCheck && !project.findTransition(previousStatus, this.status)) {
+        const error = new Error(`Transition from ${previousStatus} to ${this.status} is not allowed`);
+        error.statusCode = 400;
+        return next(error);
+      }
+
+      // Track status history
+      this.statusHistory.push({
+        status: this.status,
+        fromStatus: previousStatus,
+        changedBy: this.modifiedBy, // modifiedBy should be set in controller
+        changedAt: new Date(),
+        comment: this.statusComment // statusComment can be set in controller
+      });
+    }
+
+    this.statusCategory = project.getStatusCategory(this.status);
+
+    // Set resolved/closed timestamps
+    if (this.statusCategory === 'RESOLVED' && !this.resolvedAt) {
       this.resolvedAt = new Date();
     }
-    if (this.status === 'CLOSED' && !this.closedAt) {
+    if (this.statusCategory === 'CLOSED' && !this.closedAt) {
       this.closedAt = new Date();
     }
     // Clear timestamps if status is reverted
-    if (this.status !== 'RESOLVED' && this.status !== 'CLOSED') {
+    if (this.statusCategory !== 'RESOLVED' && this.statusCategory !== 'CLOSED') {
       this.resolvedAt = undefined;
     }
-    if (this.status !== 'CLOSED') {
+    if (this.statusCategory !== 'CLOSED') {
       this.closedAt = undefined;
     }
+
+    // Tickets entering a column go to its bottom unless a board move ranked them
+    if (!this.$locals.rankSet) {
+      this.rank = await this.constructor.nextRank(this.project._id, this.status);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
   }
+});
+
+// Record field changes in the ticket history
+ticketSchema.post('save', async function() {
+  const before = this.$locals.snapshot;
+  const after = snapshotTrackedFields(this);
 
-  next();
+  // No snapshot means the ticket was just created
+  if (!before) {
+    await TicketHistory.create({
+      ticket: this._id,
+      actor: this.createdBy,
+      action: 'CREATED'
+    });
+  } else {
+    const changes = TicketHistory.TRACKED_FIELDS
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, oldValue: before[field], newValue: after[field] }));
+
+    if (changes.length > 0) {
+      await TicketHistory.create({
+        ticket: this._id,
+        actor: this.modifiedBy,
+        action: changes.some(change => change.field === 'project') ? 'MOVED' : 'UPDATED',
+        changes,
+        comment: changes.some(change => change.field === 'status') ? this.statusComment : undefined
+      });
+    }
+  }
+
+  this.$locals.snapshot = after;
 });
 
+// Keep the persisted status in sync after saving
+ticketSchema.post('save', function() {
+  this.$locals.previousStatus = this.status;
+  this.$locals.skipTransitionCheck = false;
+  this.$locals.rankSet = false;
+});
+
+// Static method to find a ticket by key, following renamed project keys
+ticketSchema.statics.findByKey = async function(key) {
+  const match = TICKET_KEY_PATTERN.exec(key.toUpperCase());
+  if (!match) return null;
+
+  const ticket = await this.findOne({ key: key.toUpperCase() });
+  if (ticket) return ticket;
+
+  // Tickets moved to another project keep their old keys
+  const moved = await this.findOne({ previousKeys: key.toUpperCase() });
+  if (moved) return moved;
+
+  const [, prefix, number] = match;
+  const project = await mongoose.model('Project').findOne({ previousKeys: prefix }).select('_id');
+  if (!project) return null;
+
+  return this.findOne({ project: project._id, number: parseInt(number) });
+};
+
+// Static method to get the rank placing a ticket at the bottom of a board column
+ticketSchema.statics.nextRank = async function(projectId, status) {
+  const last = await this.findOne({ project: projectId, status, rank: { $ne: null } })
+    .sort({ rank: -1 })
+    .select('rank');
+  return (last ? last.rank : 0) + RANK_STEP;
+};
+
+// Static method to build a filter matching tickets that are not done yet
+ticketSchema.statics.openStatusFilter = function() {
+  // statusCategory is missing on tickets saved before workflows existed
+  return {
+    status: { $nin: DONE_CATEGORIES },
+    statusCategory: { $nin: DONE_CATEGORIES }
+  };
+};
+
+// Static method to build a filter matching tickets in a built-in status category
+ticketSchema.statics.statusCategoryFilter = function(category) {
+  // Tickets saved before workflows existed have no statusCategory; their status is the category
+  return {
+    $or: [{ statusCategory: category }, { statusCategory: null, status: category }]
+  };
+};
+
+// Static method to check whether blocker -> blocked would close a blocking loop
+ticketSchema.statics.wouldCreateBlockingCycle = async function(blockerId, blockedId) {
+  const target = blockerId.toString();
+  const visited = new Set();
+  let frontier = [blockedId.toString()];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach(id => visited.add(id));
+
+    const tickets = await this.find({ _id: { $in: frontier } }).select('links');
+    frontier = tickets
+      .flatMap(ticket => ticket.links)
+      .filter(link => link.type === 'BLOCKS')
+      .map(link => link.ticket.toString())
+      .filter(id => !visited.has(id));
+  }
+
+  return false;
+};
+
+// Static method to check whether making parentId the parent of ticketId loops
+ticketSchema.statics.wouldCreateParentCycle = async function(ticketId, parentId) {
+  const target = ticketId.toString();
+  const visited = new Set();
+  let current = parentId;
+
+  while (current) {
+    const id = current.toString();
+    if (id === target) return true;
+    if (visited.has(id)) return false;
+    visited.add(id);
+
+    const ancestor = await this.findById(current).select('parent');
+    current = ancestor ? ancestor.parent : null;
+  }
+
+  return false;
+};
+
+// Instance method to collect links grouped by type, including inverse links.
+// Tickets in projects the user can't access are reduced to their ID
+ticketSchema.methods.getLinkGroups = async function(user) {
+  const Ticket = this.constructor;
+  const summary = '_id key title status priority project';
+
+  const [outgoing, incoming, parent, subtasks, accessibleIds] = await Promise.all([
+    Ticket.find({ _id: { $in: this.links.map(link => link.ticket) } }).select(summary),
+    Ticket.find({ 'links.ticket': this._id }).select(`${summary} links`),
+    this.parent ? Ticket.findById(this.parent).select(summary) : null,
+    Ticket.find({ parent: this._id }).select(summary).sort({ createdAt: 1 }),
+    user.role === 'ADMIN' ? null : mongoose.model('Project').findAccessibleProjectIds(user._id)
+  ]);
+
+  const accessible = accessibleIds && new Set(accessibleIds.map(id => id.toString()));
+  const visible = (ticket) => {
+    if (!ticket) return ticket;
+    const { links, ...fields } = ticket.toObject();
+    return !accessible || accessible.has(fields.project.toString()) ? fields : { _id: fields._id };
+  };
+
+  const groups = {
+    blocks: [],
+    isBlockedBy: [],
+    duplicates: [],
+    isDuplicatedBy: [],
+    relatesTo: [],
+    parent: visible(parent),
+    subtasks: subtasks.map(visible)
+  };
+  const outgoingGroup = { BLOCKS: 'blocks', DUPLICATES: 'duplicates', RELATES_TO: 'relatesTo' };
+  const incomingGroup = { BLOCKS: 'isBlockedBy', DUPLICATES: 'isDuplicatedBy', RELATES_TO: 'relatesTo' };
+
+  this.links.forEach(link => {
+    const ticket = outgoing.find(t => t._id.toString() === link.ticket.toString());
+    if (ticket) {
+      groups[outgoingGroup[link.type]].push({ linkId: link._id, ticket: visible(ticket) });
+    }
+  });
+
+  incoming.forEach(source => {
+    source.links
+      .filter(link => link.ticket.toString() === this._id.toString())
+      .forEach(link => {
+        groups[incomingGroup[link.type]].push({ linkId: link._id, ticket: visible(source) });
+      });
+  });
+
+  return groups;
+};
+
 // Static method to get tickets by status
 ticketSchema.statics.findByStatus = function(status) {
   return this.find({ status })
@@ -177,10 +536,26 @@ ticketSchema.statics.findByProject = function(projectId) {
     .sort({ createdAt: -1 });
 };
 
+// Static method to filter storage keys no longer used by any attachment
+ticketSchema.statics.findUnreferencedStorageKeys = async function(storageKeys) {
+  const uniqueKeys = [...new Set(storageKeys)];
+  const referenced = await this.distinct('attachments.storageKey', {
+    'attachments.storageKey': { $in: uniqueKeys }
+  });
+  return uniqueKeys.filter(key => !referenced.includes(key));
+};
+
+// Instance method to subscribe users to notifications (ignores duplicates)
+ticketSchema.methods.addWatchers = function(...userIds) {
+  userIds
+    .filter(Boolean)
+    .forEach(userId => this.watchers.addToSet(userId._id || userId));
+};
+
 // Instance method to check if ticket is overdue
 ticketSchema.methods.isOverdue = function() {
   return this.dueDate && this.dueDate < new Date() && 
-         !['RESOLVED', 'CLOSED'].includes(this.status);
+         !DONE_CATEGORIES.includes(this.statusCategory || this.status);
 };
 
 // Virtual for days until due
@@ -204,4 +579,7 @@ ticketSchema.virtual('timeSpent').get(function() {
 
 const Ticket = mongoose.model('Ticket', ticketSchema);
 
-module.exports = Ticket;
\ No newline at end of file
+module.exports = Ticket;
+module.exports.TICKET_KEY_PATTERN = TICKET_KEY_PATTERN;
+module.exports.LINK_TYPES = LINK_TYPES;
+module.exports.RANK_STEP = RANK_STEP;
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Ticket fields whose changes are recorded in the history
+const TRACKED_FIELDS = [
+  'title', 'description', 'status', 'priority', 'type', 'assignedTo', 'project',
+  'key', 'dueDate', 'estimatedHours', 'actualHours', 'tags', 'resolution', 'parent', 'sprint',
+  'fixVersions', 'affectsVersions', 'components', 'customFields'
+];
+
+const HISTORY_ACTIONS = ['CREATED', 'UPDATED', 'MOVED'];
+
+const ticketHistorySchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: [true, 'Ticket is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: HISTORY_ACTIONS,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      enum: TRACKED_FIELDS
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+  // Reason given with a status change, if any
+  comment: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+ticketHistorySchema.index({ ticket: 1, createdAt: -1 });
+ticketHistorySchema.index({ actor: 1 });
+
+const TicketHistory = mongoose.model('TicketHistory', ticketHistorySchema);
+
+module.exports = TicketHistory;
+module.exports.TRACKED_FIELDS = TRACKED_FIELDS;
+module.exports.HISTORY_ACTIONS = HISTORY_ACTIONS;
@@ -1,7 +1,20 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
+// Password reset links are valid for 10 minutes (matches the reset email)
+const PASSWORD_RESET_TTL_MS = 10 * 60 * 1000;
+
+// Email verification links are valid for 24 hours (matches the verification email)
+const EMAIL_VERIFICATION_EXPIRES_IN = '24h';
+
+// Failed logins allowed before the account is locked, and for how long
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCK_DURATION_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -35,11 +48,61 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // No default: accounts created before verification existed count as verified
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
   lastLogin: {
     type: Date
   },
   passwordChangedAt: {
     type: Date
+  },
+  // SHA-256 of the emailed reset token; the token itself is never stored
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Consecutive failed logins, reset by a successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    select: false
+  },
+  lockUntil: Date,
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
   }
 }, {
   timestamps: true
@@ -48,6 +111,7 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -77,17 +141,18 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Instance method to generate a short-lived JWT access token for a session
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
       email: this.email,
-      role: this.role 
+      role: this.role,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
     { 
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
       issuer: 'bug-tracker-api',
       subject: this._id.toString()
     }
@@ -106,6 +171,125 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
+// Instance method to issue a single-use password reset token
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+
+  return resetToken;
+};
+
+// Static method to find the active user owning an unexpired reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() },
+    isActive: true
+  });
+};
+
+// Instance method to replace the recovery codes, returning the new plain codes
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.substring(0, 5)}-${code.substring(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Instance method to consume a recovery code (requires +twoFactor.recoveryCodes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashed = hashToken(code.trim().toLowerCase());
+  if (!this.twoFactor.recoveryCodes.includes(hashed)) return false;
+
+  this.twoFactor.recoveryCodes.pull(hashed);
+  return true;
+};
+
+// Instance method to generate the short-lived token for the second login step
+userSchema.methods.generateTwoFactorChallenge = function() {
+  return jwt.sign(
+    { id: this._id, purpose: 'two-factor' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '5m',
+      issuer: 'bug-tracker-api',
+      subject: this._id.toString()
+    }
+  );
+};
+
+// Instance method to check the email address has been verified
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
+// Instance method to generate a signed email verification token for the current email
+userSchema.methods.generateEmailVerificationToken = function() {
+  return jwt.sign(
+    { id: this._id, email: this.email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: EMAIL_VERIFICATION_EXPIRES_IN,
+      issuer: 'bug-tracker-api',
+      subject: this._id.toString()
+    }
+  );
+};
+
+// Instance method to check for a temporary lockout
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Instance method returning how long (ms) to wait before the next login attempt.
+// The wait doubles with every failed attempt: 1s, 2s, 4s, ... (requires +failedLoginAttempts +lastFailedLoginAt)
+userSchema.methods.getLoginDelay = function() {
+  if (this.isLocked()) {
+    return this.lockUntil - Date.now();
+  }
+  if (!this.failedLoginAttempts || !this.lastFailedLoginAt) {
+    return 0;
+  }
+  const delay = 1000 * 2 ** (this.failedLoginAttempts - 1);
+  return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now());
+};
+
+// Instance method to count a failed login; returns true when this attempt locks the account
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  ).select('+failedLoginAttempts +lastFailedLoginAt');
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+
+  if (updated.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return false;
+  }
+
+  this.lockUntil = new Date(Date.now() + LOCK_DURATION_MS);
+  this.failedLoginAttempts = 0;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lockUntil: this.lockUntil, failedLoginAttempts: 0 } }
+  );
+  return true;
+};
+
+// Instance method to clear failed logins and any lockout (saved with the document)
+userSchema.methods.resetFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ isActive: true });
@@ -116,6 +300,13 @@ userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.passwordChangedAt;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.failedLoginAttempts;
+  delete user.lastFailedLoginAt;
+  if (user.twoFactor) {
+    user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+  }
   return user;
 };
 
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const versionSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Version name is required'],
+    trim: true,
+    maxlength: [50, 'Version name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Planned release date; set to the actual date on release if missing
+  releaseDate: Date,
+  released: {
+    type: Boolean,
+    default: false
+  },
+  releasedAt: Date,
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Archived versions are hidden and can't be set on tickets any more
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+versionSchema.index({ project: 1, name: 1 }, { unique: true });
+versionSchema.index({ project: 1, released: 1, releaseDate: 1 });
+
+const Version = mongoose.model('Version', versionSchema);
+
+module.exports = Version;
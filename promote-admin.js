@@ -1,6 +1,7 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('./models/User');
+const { recordAuditEvent, auditTarget } = require('./utils/auditLog');
 
 async function promoteUserToAdmin() {
   try {
@@ -17,6 +18,13 @@ async function promoteUserToAdmin() {
     } else {
       user.role = 'ADMIN';
       await user.save();
+
+      await recordAuditEvent(null, {
+        action: 'USER_ROLE_CHANGED',
+        target: auditTarget('USER', user),
+        before: { role: 'USER' },
+        after: { role: 'ADMIN' }
+      });
     }
 
     await mongoose.disconnect();
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middlewares
+const { authenticate, authorize, requireSession } = require('../middlewares/auth');
+const { validateAuditQuery, validateSecurityPolicy } = require('../middlewares/validation');
+
+// Import controllers
+const { getAuditEvents } = require('../controllers/auditController');
+const {
+  getSecurityPolicy,
+  updateSecurityPolicy
+} = require('../controllers/securityPolicyController');
+
+// All routes require an admin signed in interactively
+router.use(authenticate, requireSession, authorize('ADMIN'));
+
+// Audit log routes
+
+router.get('/audit', validateAuditQuery, getAuditEvents);
+
+// Security policy routes
+
+router.get('/security-policy', getSecurityPolicy);
+
+router.put('/security-policy', validateSecurityPolicy, updateSecurityPolicy);
+
+module.exports = router;
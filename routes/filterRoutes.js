@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middlewares
+const { authenticate, requireResourceScope } = require('../middlewares/auth');
+const {
+  validateSavedFilterCreation,
+  validateSavedFilterUpdate,
+  validatePagination,
+  validateObjectId
+} = require('../middlewares/validation');
+
+// Import controllers
+const {
+  createFilter,
+  getFilters,
+  getFilterById,
+  updateFilter,
+  deleteFilter,
+  getFilterTickets
+} = require('../controllers/filterController');
+
+// All routes require authentication (API tokens need tickets:read / tickets:write)
+router.use(authenticate, requireResourceScope('tickets'));
+
+// Saved filter CRUD routes
+
+router.post('/', validateSavedFilterCreation, createFilter);
+
+router.get('/', getFilters);
+
+router.get('/:id', validateObjectId('id'), getFilterById);
+
+router.put('/:id', validateObjectId('id'), validateSavedFilterUpdate, updateFilter);
+
+router.delete('/:id', validateObjectId('id'), deleteFilter);
+
+// Run a saved filter
+
+router.get('/:id/tickets', validateObjectId('id'), validatePagination, getFilterTickets);
+
+module.exports = router;
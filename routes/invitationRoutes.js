@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middlewares
+const { authenticate, requireResourceScope } = require('../middlewares/auth');
+const { validateInvitationToken } = require('../middlewares/validation');
+
+// Import controllers
+const {
+  getMyInvitations,
+  acceptInvitationByToken,
+  declineInvitation
+} = require('../controllers/invitationController');
+
+// Public routes (the link token identifies the invitation)
+
+router.post('/:token/decline', validateInvitationToken, declineInvitation);
+
+// Protected routes
+
+router.get('/', authenticate, requireResourceScope('projects'), getMyInvitations);
+
+router.post('/:token/accept', 
+  authenticate, 
+  requireResourceScope('projects'),
+  validateInvitationToken,
+  acceptInvitationByToken
+);
+
+module.exports = router;
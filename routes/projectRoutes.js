@@ -2,11 +2,34 @@ const express = require('express');
 const router = express.Router();
 
 // Import middlewares
-const { authenticate, authorize } = require('../middlewares/auth');
+const { authenticate, authorize, requireResourceScope } = require('../middlewares/auth');
 const {
   validateProjectCreation,
   validateProjectUpdate,
-  validateObjectId
+  validateProjectWorkflow,
+  validateProjectInvitation,
+  validateProjectTeam,
+  validateProjectTeamRole,
+  validateSprintCreation,
+  validateSprintUpdate,
+  validateSprintQuery,
+  validateSprintTickets,
+  validateSprintCompletion,
+  validateBoardQuery,
+  validateWipLimits,
+  validateVersionCreation,
+  validateVersionUpdate,
+  validateVersionQuery,
+  validateVersionRelease,
+  validateReleaseNotesQuery,
+  validateComponentCreation,
+  validateComponentUpdate,
+  validateProjectStatsQuery,
+  validateCustomFieldCreation,
+  validateCustomFieldUpdate,
+  validateCustomFieldKey,
+  validateObjectId,
+  validateTicketId
 } = require('../middlewares/validation');
 
 // Import controllers
@@ -19,11 +42,56 @@ const {
   addProjectMember,
   removeProjectMember,
   updateMemberRole,
+  addProjectTeam,
+  removeProjectTeam,
+  updateProjectTeamRole,
+  getProjectWorkflow,
+  updateProjectWorkflow,
   getProjectStats
 } = require('../controllers/projectController');
+const {
+  createInvitation,
+  getProjectInvitations,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const {
+  createSprint,
+  getSprints,
+  getActiveSprint,
+  getSprintById,
+  updateSprint,
+  deleteSprint,
+  addSprintTickets,
+  removeSprintTicket,
+  startSprint,
+  completeSprint
+} = require('../controllers/sprintController');
+const { getProjectBoard, updateWipLimits } = require('../controllers/boardController');
+const {
+  createVersion,
+  getVersions,
+  getVersionById,
+  updateVersion,
+  deleteVersion,
+  releaseVersion,
+  unreleaseVersion,
+  getReleaseNotes
+} = require('../controllers/versionController');
+const {
+  getComponents,
+  createComponent,
+  updateComponent,
+  deleteComponent
+} = require('../controllers/componentController');
+const {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} = require('../controllers/customFieldController');
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication (API tokens need projects:read / projects:write)
+router.use(authenticate, requireResourceScope('projects'));
 
 // Project CRUD routes
 
@@ -53,8 +121,186 @@ router.put('/:id/members/:userId/role',
   updateMemberRole
 );
 
+// Project team access routes
+
+router.post('/:id/teams', validateObjectId('id'), validateProjectTeam, addProjectTeam);
+
+router.delete('/:id/teams/:teamId', 
+  validateObjectId('id'), 
+  validateObjectId('teamId'),
+  removeProjectTeam
+);
+
+router.put('/:id/teams/:teamId/role', 
+  validateObjectId('id'), 
+  validateObjectId('teamId'),
+  validateProjectTeamRole,
+  updateProjectTeamRole
+);
+
+// Project invitation routes
+
+router.post('/:id/invitations', validateObjectId('id'), validateProjectInvitation, createInvitation);
+
+router.get('/:id/invitations', validateObjectId('id'), getProjectInvitations);
+
+router.delete('/:id/invitations/:invitationId', 
+  validateObjectId('id'), 
+  validateObjectId('invitationId'),
+  revokeInvitation
+);
+
+// Project sprint routes
+
+router.post('/:id/sprints', validateObjectId('id'), validateSprintCreation, createSprint);
+
+router.get('/:id/sprints', validateObjectId('id'), validateSprintQuery, getSprints);
+
+router.get('/:id/sprints/active', validateObjectId('id'), getActiveSprint);
+
+router.get('/:id/sprints/:sprintId', 
+  validateObjectId('id'), 
+  validateObjectId('sprintId'),
+  getSprintById
+);
+
+router.put('/:id/sprints/:sprintId', 
+  validateObjectId('id'), 
+  validateObjectId('sprintId'),
+  validateSprintUpdate,
+  updateSprint
+);
+
+router.delete('/:id/sprints/:sprintId', 
+  validateObjectId('id'), 
+  validateObjectId('sprintId'),
+  deleteSprint
+);
+
+router.post('/:id/sprints/:sprintId/tickets', 
+  validateObjectId('id'), 
+  validateObjectId('sprintId'),
+  validateSprintTickets,
+  addSprintTickets
+);
+
+router.delete('/:id/sprints/:sprintId/tickets/:ticketId', 
+  validateObjectId('id'), 
+  validateObjectId('sprintId'),
+  validateTicketId('ticketId'),
+  removeSprintTicket
+);
+
+router.post('/:id/sprints/:sprintId/start', 
+  validateObjectId('id'), 
+  validateObjectId('sprintId'),
+  startSprint
+);
+
+router.post('/:id/sprints/:sprintId/complete', 
+  validateObjectId('id'), 
+  validateObjectId('sprintId'),
+  validateSprintCompletion,
+  completeSprint
+);
+
+// Project version (release) routes
+
+router.post('/:id/versions', validateObjectId('id'), validateVersionCreation, createVersion);
+
+router.get('/:id/versions', validateObjectId('id'), validateVersionQuery, getVersions);
+
+router.get('/:id/versions/:versionId', 
+  validateObjectId('id'), 
+  validateObjectId('versionId'),
+  getVersionById
+);
+
+router.put('/:id/versions/:versionId', 
+  validateObjectId('id'), 
+  validateObjectId('versionId'),
+  validateVersionUpdate,
+  updateVersion
+);
+
+router.delete('/:id/versions/:versionId', 
+  validateObjectId('id'), 
+  validateObjectId('versionId'),
+  deleteVersion
+);
+
+router.post('/:id/versions/:versionId/release', 
+  validateObjectId('id'), 
+  validateObjectId('versionId'),
+  validateVersionRelease,
+  releaseVersion
+);
+
+router.post('/:id/versions/:versionId/unrelease', 
+  validateObjectId('id'), 
+  validateObjectId('versionId'),
+  unreleaseVersion
+);
+
+router.get('/:id/versions/:versionId/release-notes', 
+  validateObjectId('id'), 
+  validateObjectId('versionId'),
+  validateReleaseNotesQuery,
+  getReleaseNotes
+);
+
+// Project component routes
+
+router.get('/:id/components', validateObjectId('id'), getComponents);
+
+router.post('/:id/components', validateObjectId('id'), validateComponentCreation, createComponent);
+
+router.put('/:id/components/:componentId', 
+  validateObjectId('id'), 
+  validateObjectId('componentId'),
+  validateComponentUpdate,
+  updateComponent
+);
+
+router.delete('/:id/components/:componentId', 
+  validateObjectId('id'), 
+  validateObjectId('componentId'),
+  deleteComponent
+);
+
+// Project custom field routes
+
+router.get('/:id/custom-fields', validateObjectId('id'), getCustomFields);
+
+router.post('/:id/custom-fields', validateObjectId('id'), validateCustomFieldCreation, createCustomField);
+
+router.put('/:id/custom-fields/:key', 
+  validateObjectId('id'), 
+  validateCustomFieldKey,
+  validateCustomFieldUpdate,
+  updateCustomField
+);
+
+router.delete('/:id/custom-fields/:key', 
+  validateObjectId('id'), 
+  validateCustomFieldKey,
+  deleteCustomField
+);
+
+// Project board routes
+
+router.get('/:id/board', validateObjectId('id'), validateBoardQuery, getProjectBoard);
+
+router.put('/:id/board/wip-limits', validateObjectId('id'), validateWipLimits, updateWipLimits);
+
+// Project workflow routes
+
+router.get('/:id/workflow', validateObjectId('id'), getProjectWorkflow);
+
+router.put('/:id/workflow', validateObjectId('id'), validateProjectWorkflow, updateProjectWorkflow);
+
 // Project statistics and analytics
 
-router.get('/:id/stats', validateObjectId('id'), getProjectStats);
+router.get('/:id/stats', validateObjectId('id'), validateProjectStatsQuery, getProjectStats);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middlewares
+const { authenticate, authorize, requireResourceScope } = require('../middlewares/auth');
+const {
+  validateTeamCreation,
+  validateTeamUpdate,
+  validateTeamMember,
+  validateTeamMemberRole,
+  validatePagination,
+  validateObjectId
+} = require('../middlewares/validation');
+
+// Import controllers
+const {
+  createTeam,
+  getTeams,
+  getTeamById,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember,
+  updateTeamMemberRole
+} = require('../controllers/teamController');
+
+// All routes require authentication (teams grant project access, so API tokens
+// need projects:read / projects:write)
+router.use(authenticate, requireResourceScope('projects'));
+
+// Team CRUD routes
+
+router.post('/', authorize('ADMIN'), validateTeamCreation, createTeam);
+
+router.get('/', validatePagination, getTeams);
+
+router.get('/:id', validateObjectId('id'), getTeamById);
+
+router.put('/:id', validateObjectId('id'), validateTeamUpdate, updateTeam);
+
+router.delete('/:id', authorize('ADMIN'), validateObjectId('id'), deleteTeam);
+
+// Team member management routes
+
+router.post('/:id/members', validateObjectId('id'), validateTeamMember, addTeamMember);
+
+router.delete('/:id/members/:userId', 
+  validateObjectId('id'), 
+  validateObjectId('userId'),
+  removeTeamMember
+);
+
+router.put('/:id/members/:userId/role', 
+  validateObjectId('id'), 
+  validateObjectId('userId'),
+  validateTeamMemberRole,
+  updateTeamMemberRole
+);
+
+module.exports = router;
@@ -2,12 +2,23 @@ const express = require('express');
 const router = express.Router();
 
 // Import middlewares
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, requireResourceScope } = require('../middlewares/auth');
+const { uploadAttachment: handleFileUpload } = require('../middlewares/upload');
 const {
   validateTicketCreation,
   validateTicketUpdate,
+  validateCommentCreation,
+  validateCommentUpdate,
+  validateTicketLink,
+  validateTicketParent,
   validateObjectId,
-  validateTicketQuery
+  validateTicketId,
+  validateTicketQuery,
+  validateSearchQuery,
+  validateBulkOperation,
+  validateTicketMove,
+  validateBoardMove,
+  validatePagination
 } = require('../middlewares/validation');
 
 // Import controllers
@@ -17,15 +28,49 @@ const {
   getTicketById,
   updateTicket,
   deleteTicket,
+  moveTicketToProject,
   assignTicket,
   unassignTicket,
   getMyAssignedTickets,
   getMyCreatedTickets,
-  getTicketStats
+  getWatchingTickets,
+  getTicketStats,
+  getTicketByKey
 } = require('../controllers/ticketController');
+const {
+  createComment,
+  getTicketComments,
+  updateComment,
+  deleteComment,
+  getCommentRevisions
+} = require('../controllers/commentController');
+const {
+  uploadAttachment,
+  getTicketAttachments,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  addTicketLink,
+  removeTicketLink,
+  setTicketParent,
+  getTicketLinks
+} = require('../controllers/linkController');
+const {
+  watchTicket,
+  unwatchTicket,
+  getTicketWatchers
+} = require('../controllers/watcherController');
+const {
+  getTicketHistory,
+  getTicketActivity
+} = require('../controllers/historyController');
+const { searchTickets } = require('../controllers/searchController');
+const { bulkUpdateTickets } = require('../controllers/bulkController');
+const { moveBoardTicket } = require('../controllers/boardController');
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication (API tokens need tickets:read / tickets:write)
+router.use(authenticate, requireResourceScope('tickets'));
 
 // User-specific ticket routes
 
@@ -33,24 +78,108 @@ router.get('/assigned-to-me', getMyAssignedTickets);
 
 router.get('/created-by-me', getMyCreatedTickets);
 
+router.get('/watching', validateTicketQuery, validatePagination, getWatchingTickets);
+
 router.get('/stats', getTicketStats);
 
+router.get('/search', validateSearchQuery, searchTickets);
+
+router.get('/by-key/:key', getTicketByKey);
+
 // Ticket CRUD routes
 
 router.post('/', validateTicketCreation, createTicket);
 
 router.get('/', validateTicketQuery, getAllTickets);
 
-router.get('/:id', validateObjectId('id'), getTicketById);
+router.post('/bulk', validateBulkOperation, bulkUpdateTickets);
+
+router.get('/:id', validateTicketId('id'), getTicketById);
 
-router.put('/:id', validateObjectId('id'), validateTicketUpdate, updateTicket);
+router.put('/:id', validateTicketId('id'), validateTicketUpdate, updateTicket);
 
-router.delete('/:id', validateObjectId('id'), deleteTicket);
+router.delete('/:id', validateTicketId('id'), deleteTicket);
+
+router.put('/:id/move', validateTicketId('id'), validateTicketMove, moveTicketToProject);
+
+// Move a ticket on its project's board (column and position)
+router.put('/:id/board-position', validateTicketId('id'), validateBoardMove, moveBoardTicket);
 
 // Ticket assignment routes
 
-router.put('/:id/assign', validateObjectId('id'), assignTicket);
+router.put('/:id/assign', validateTicketId('id'), assignTicket);
+
+router.put('/:id/unassign', validateTicketId('id'), unassignTicket);
+
+// Ticket comment routes
+
+router.get('/:id/comments', validateTicketId('id'), getTicketComments);
+
+router.post('/:id/comments', validateTicketId('id'), validateCommentCreation, createComment);
+
+router.put('/:id/comments/:commentId', 
+  validateTicketId('id'), 
+  validateObjectId('commentId'),
+  validateCommentUpdate,
+  updateComment
+);
+
+router.delete('/:id/comments/:commentId', 
+  validateTicketId('id'), 
+  validateObjectId('commentId'),
+  deleteComment
+);
+
+router.get('/:id/comments/:commentId/revisions', 
+  validateTicketId('id'), 
+  validateObjectId('commentId'),
+  getCommentRevisions
+);
+
+// Ticket attachment routes
+
+router.get('/:id/attachments', validateTicketId('id'), getTicketAttachments);
+
+router.post('/:id/attachments', validateTicketId('id'), handleFileUpload, uploadAttachment);
+
+router.get('/:id/attachments/:attachmentId', 
+  validateTicketId('id'), 
+  validateObjectId('attachmentId'),
+  downloadAttachment
+);
+
+router.delete('/:id/attachments/:attachmentId', 
+  validateTicketId('id'), 
+  validateObjectId('attachmentId'),
+  deleteAttachment
+);
+
+// Ticket link and subtask routes
+
+router.get('/:id/links', validateTicketId('id'), getTicketLinks);
+
+router.post('/:id/links', validateTicketId('id'), validateTicketLink, addTicketLink);
+
+router.delete('/:id/links/:linkId', 
+  validateTicketId('id'), 
+  validateObjectId('linkId'),
+  removeTicketLink
+);
+
+router.put('/:id/parent', validateTicketId('id'), validateTicketParent, setTicketParent);
+
+// Ticket watcher routes
+
+router.get('/:id/watchers', validateTicketId('id'), getTicketWatchers);
+
+router.post('/:id/watch', validateTicketId('id'), watchTicket);
+
+router.delete('/:id/watch', validateTicketId('id'), unwatchTicket);
+
+// Ticket history routes
+
+router.get('/:id/history', validateTicketId('id'), validatePagination, getTicketHistory);
 
-router.put('/:id/unassign', validateObjectId('id'), unassignTicket);
+router.get('/:id/activity', validateTicketId('id'), validatePagination, getTicketActivity);
 
 module.exports = router;
\ No newline at end of file
@@ -2,10 +2,25 @@ const express = require('express');
 const router = express.Router();
 
 // Import middlewares
-const { authenticate, authorize } = require('../middlewares/auth');
+const {
+  authenticate,
+  authenticateForTwoFactorSetup,
+  authorize,
+  requireScope,
+  requireSession
+} = require('../middlewares/auth');
+const { passwordResetLimiter, verificationEmailLimiter } = require('../middlewares/rateLimit');
 const { 
   validateUserRegistration, 
   validateUserLogin, 
+  validateForgotPassword,
+  validatePasswordReset,
+  validateRefreshToken,
+  validateEmailVerificationToken,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateApiTokenCreation,
   validateObjectId 
 } = require('../middlewares/validation');
 
@@ -13,15 +28,39 @@ const {
 const {
   registerUser,
   loginUser,
+  loginTwoFactor,
   getUserProfile,
   updateUserProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   getAllUsers,
   updateUserRole,
   updateUserStatus,
+  unlockUser,
   deleteUser,
   getAssignableUsers
 } = require('../controllers/userController');
+const {
+  refreshSession,
+  logoutUser,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../controllers/sessionController');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const {
+  createApiToken,
+  getApiTokens,
+  revokeApiToken
+} = require('../controllers/apiTokenController');
 
 // Public routes
 
@@ -29,22 +68,73 @@ router.post('/register', validateUserRegistration, registerUser);
 
 router.post('/login', validateUserLogin, loginUser);
 
+router.post('/login/2fa', validateTwoFactorLogin, loginTwoFactor);
+
+router.post('/forgot-password', validateForgotPassword, passwordResetLimiter, forgotPassword);
+
+router.post('/reset-password/:token', validatePasswordReset, resetPassword);
+
+router.post('/refresh', validateRefreshToken, refreshSession);
+
+router.get('/verify-email/:token', validateEmailVerificationToken, verifyEmail);
+
 // Protected routes
 
-router.get('/profile', authenticate, getUserProfile);
+router.get('/profile', authenticateForTwoFactorSetup, requireScope('users:read'), getUserProfile);
 
-router.put('/profile', authenticate, updateUserProfile);
+router.put('/profile', authenticate, requireScope('users:write'), updateUserProfile);
 
-router.put('/change-password', authenticate, changePassword);
+router.put('/change-password', authenticate, requireSession, changePassword);
 
-router.get('/assignable-users', authenticate, getAssignableUsers);
+router.post('/verify-email/resend', authenticate, requireSession, verificationEmailLimiter, resendVerificationEmail);
+
+router.get('/assignable-users', authenticate, requireScope('users:read'), getAssignableUsers);
+
+// Session routes
+
+router.post('/logout', authenticateForTwoFactorSetup, requireSession, logoutUser);
+
+router.get('/sessions', authenticate, requireSession, getSessions);
+
+router.delete('/sessions', authenticate, requireSession, revokeAllSessions);
+
+router.delete('/sessions/:sessionId', 
+  authenticate, 
+  requireSession,
+  validateObjectId('sessionId'),
+  revokeSession
+);
+
+// Two-factor authentication routes
+
+router.post('/2fa/setup', authenticateForTwoFactorSetup, requireSession, setupTwoFactor);
+
+router.post('/2fa/confirm', authenticateForTwoFactorSetup, requireSession, validateTwoFactorCode, confirmTwoFactor);
+
+router.post('/2fa/disable', authenticate, requireSession, validateTwoFactorDisable, disableTwoFactor);
+
+router.post('/2fa/recovery-codes', authenticate, requireSession, validateTwoFactorCode, regenerateRecoveryCodes);
+
+// Personal API token routes
+
+router.post('/tokens', authenticate, requireSession, validateApiTokenCreation, createApiToken);
+
+router.get('/tokens', authenticate, requireSession, getApiTokens);
+
+router.delete('/tokens/:tokenId', 
+  authenticate, 
+  requireSession,
+  validateObjectId('tokenId'),
+  revokeApiToken
+);
 
 // Admin only routes
 
-router.get('/users', authenticate, authorize('ADMIN'), getAllUsers);
+router.get('/users', authenticate, requireScope('users:read'), authorize('ADMIN'), getAllUsers);
 
 router.put('/users/:userId/role', 
   authenticate, 
+  requireScope('users:write'),
   authorize('ADMIN'), 
   validateObjectId('userId'),
   updateUserRole
@@ -52,13 +142,23 @@ router.put('/users/:userId/role',
 
 router.put('/users/:userId/status', 
   authenticate, 
+  requireScope('users:write'),
   authorize('ADMIN'), 
   validateObjectId('userId'),
   updateUserStatus
 );
 
+router.put('/users/:userId/unlock', 
+  authenticate, 
+  requireScope('users:write'),
+  authorize('ADMIN'), 
+  validateObjectId('userId'),
+  unlockUser
+);
+
 router.delete('/users/:userId', 
   authenticate, 
+  requireScope('users:write'),
   authorize('ADMIN'), 
   validateObjectId('userId'),
   deleteUser
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Ticket = require('../models/Ticket');
+const { updateProjectWorkflow } = require('../controllers/projectController');
+
+// Needs a MongoDB to run against; the test database is dropped afterwards
+const DATABASE_URI = process.env.TEST_DATABASE_URI;
+
+// Call a controller and resolve with its JSON response
+const callController = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    status() { return this; },
+    json: resolve
+  };
+  handler(req, res, reject);
+});
+
+describe('PUT /projects/:id/workflow', { skip: !DATABASE_URI && 'TEST_DATABASE_URI is not set' }, () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'ADMIN' };
+  let project;
+
+  before(async () => {
+    await mongoose.connect(DATABASE_URI);
+    await mongoose.connection.dropDatabase();
+
+    project = await Project.create({
+      name: 'Workflow test',
+      key: 'WF',
+      description: 'Status category changes',
+      createdBy: admin._id,
+      workflow: {
+        statuses: [
+          { name: 'OPEN', category: 'OPEN' },
+          { name: 'QA', category: 'IN_PROGRESS' },
+          { name: 'DONE', category: 'CLOSED' }
+        ],
+        initialStatus: 'OPEN',
+        transitions: [
+          { from: 'OPEN', to: 'QA' },
+          { from: 'QA', to: 'DONE' }
+        ]
+      }
+    });
+
+    await Ticket.create([
+      { title: 'Open ticket', description: 'Still open', status: 'OPEN', project: project._id, createdBy: admin._id },
+      { title: 'QA ticket', description: 'Waiting for QA', status: 'QA', project: project._id, createdBy: admin._id }
+    ]);
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  it('moves tickets along when a status changes category', async () => {
+    const inProject = { project: project._id };
+    assert.strictEqual(await Ticket.countDocuments({ ...inProject, ...Ticket.openStatusFilter() }), 2);
+    assert.strictEqual(await Ticket.countDocuments({ ...inProject, ...Ticket.statusCategoryFilter('RESOLVED') }), 0);
+
+    await callController(updateProjectWorkflow, {
+      params: { id: project._id.toString() },
+      user: admin,
+      body: {
+        statuses: [
+          { name: 'OPEN', category: 'OPEN' },
+          { name: 'QA', category: 'RESOLVED' },
+          { name: 'DONE', category: 'CLOSED' }
+        ],
+        initialStatus: 'OPEN',
+        transitions: [
+          { from: 'OPEN', to: 'QA' },
+          { from: 'QA', to: 'DONE' }
+        ]
+      }
+    });
+
+    const open = await Ticket.find({ ...inProject, ...Ticket.openStatusFilter() });
+    assert.deepStrictEqual(open.map(ticket => ticket.status), ['OPEN']);
+
+    const resolved = await Ticket.find({ ...inProject, ...Ticket.statusCategoryFilter('RESOLVED') });
+    assert.deepStrictEqual(resolved.map(ticket => ticket.status), ['QA']);
+  });
+});
\ No newline at end of file
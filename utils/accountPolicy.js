@@ -0,0 +1,16 @@
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Block unverified users from an action when the policy requires a verified email
+const ensureEmailVerified = async (user, action) => {
+  if (user.isEmailVerified()) return;
+
+  const policy = await SecurityPolicy.getCurrent();
+  if (policy.requireVerifiedEmail) {
+    throw new ApiError(`${user.name} must verify their email address before they can ${action}`, 400);
+  }
+};
+
+module.exports = {
+  ensureEmailVerified
+};
@@ -0,0 +1,55 @@
+const AuditEvent = require('../models/AuditEvent');
+const { escapeCsv } = require('./csv');
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'createdAt', 'action', 'actor', 'actorEmail', 'targetType', 'targetId',
+  'targetName', 'before', 'after', 'source', 'ip', 'userAgent'
+];
+
+// Record an administrative action; req is null when run outside the API
+const recordAuditEvent = (req, { action, target, before, after, actor, source }) => {
+  const actingUser = actor || (req && req.user);
+
+  return AuditEvent.create({
+    actor: actingUser ? actingUser._id : undefined,
+    actorEmail: actingUser ? actingUser.email : undefined,
+    action,
+    target,
+    before,
+    after,
+    source: source || (req ? 'API' : 'SCRIPT'),
+    ip: req ? req.ip : undefined,
+    userAgent: req ? req.get('User-Agent') : undefined
+  });
+};
+
+// Build an audit target from a user or project document
+const auditTarget = (type, doc) => ({
+  type,
+  id: doc._id,
+  name: type === 'USER' ? doc.email : doc.name
+});
+
+// Format one audit event as a CSV row
+const toCsvRow = (event) => [
+  event.createdAt,
+  event.action,
+  event.actor,
+  event.actorEmail,
+  event.target && event.target.type,
+  event.target && event.target.id,
+  event.target && event.target.name,
+  event.before,
+  event.after,
+  event.source,
+  event.ip,
+  event.userAgent
+].map(escapeCsv).join(',');
+
+module.exports = {
+  recordAuditEvent,
+  auditTarget,
+  toCsvRow,
+  CSV_COLUMNS
+};
@@ -0,0 +1,15 @@
+const Session = require('../models/Session');
+
+// Start a session for a user and issue its access and refresh tokens
+const issueAuthTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, req);
+
+  return {
+    token: user.generateAuthToken(session._id),
+    refreshToken
+  };
+};
+
+module.exports = {
+  issueAuthTokens
+};
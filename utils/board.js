@@ -0,0 +1,84 @@
+const Ticket = require('../models/Ticket');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Below this gap between neighbours a column is re-ranked before inserting
+const MIN_RANK_GAP = 1e-6;
+
+// Order tickets by manual rank; unranked (older) tickets go last, oldest first
+const sortColumn = (tickets) => {
+  return [...tickets].sort((a, b) => {
+    const rankA = typeof a.rank === 'number' ? a.rank : Infinity;
+    const rankB = typeof b.rank === 'number' ? b.rank : Infinity;
+    if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  });
+};
+
+// Group tickets into one column per workflow status, with WIP limits
+const buildBoard = (project, tickets) => {
+  return project.getWorkflow().statuses.map(({ name, category }) => {
+    const columnTickets = sortColumn(tickets.filter(ticket => ticket.status === name));
+    const wipLimit = project.getWipLimit(name);
+
+    return {
+      status: name,
+      category,
+      wipLimit,
+      count: columnTickets.length,
+      overWipLimit: Boolean(wipLimit) && columnTickets.length > wipLimit,
+      tickets: columnTickets
+    };
+  });
+};
+
+// Give every ticket of a column an evenly spaced rank, keeping the current order
+const rebalanceColumn = async (column) => {
+  const ranked = column.map((ticket, index) => ({ ticket, rank: (index + 1) * Ticket.RANK_STEP }));
+
+  if (ranked.length > 0) {
+    await Ticket.bulkWrite(ranked.map(({ ticket, rank }) => ({
+      updateOne: { filter: { _id: ticket._id }, update: { $set: { rank } } }
+    })));
+  }
+  ranked.forEach(({ ticket, rank }) => { ticket.rank = rank; });
+};
+
+// Compute the rank placing a ticket right after `afterTicketId` in a status column
+// (at the top when afterTicketId is not given)
+const rankAfter = async (projectId, status, movingTicketId, afterTicketId) => {
+  const column = sortColumn(await Ticket.find({
+    project: projectId,
+    status,
+    _id: { $ne: movingTicketId }
+  }).select('rank createdAt'));
+
+  let index = 0;
+  if (afterTicketId) {
+    index = column.findIndex(ticket => ticket._id.toString() === afterTicketId.toString()) + 1;
+    if (index === 0) {
+      throw new ApiError(`afterTicket is not in the ${status} column`, 400);
+    }
+  }
+
+  const isRanked = (ticket) => !ticket || typeof ticket.rank === 'number';
+  let previous = column[index - 1];
+  let next = column[index];
+
+  // Unranked neighbours or exhausted gaps need fresh ranks first
+  if (!isRanked(previous) || !isRanked(next) ||
+      (previous && next && next.rank - previous.rank < MIN_RANK_GAP)) {
+    await rebalanceColumn(column);
+    previous = column[index - 1];
+    next = column[index];
+  }
+
+  if (previous && next) return (previous.rank + next.rank) / 2;
+  if (previous) return previous.rank + Ticket.RANK_STEP;
+  if (next) return next.rank - Ticket.RANK_STEP;
+  return Ticket.RANK_STEP;
+};
+
+module.exports = {
+  buildBoard,
+  rankAfter
+};
@@ -0,0 +1,56 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Escape one value for a CSV cell (dates as ISO strings, objects as JSON)
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  // Numbers can't carry formulas, so negative values stay numeric
+  if (typeof value === 'number') return String(value);
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object' && !value._bsontype) text = JSON.stringify(value);
+  else text = String(value);
+  // Keep spreadsheet apps from evaluating user-controlled values as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Errors raised when the client goes away in the middle of a download
+const CLIENT_ABORT_CODES = ['ERR_STREAM_PREMATURE_CLOSE', 'ECONNRESET', 'EPIPE'];
+
+// Stream the documents of a cursor as a CSV or JSON download. pipeline applies the
+// client's backpressure to the cursor and closes it if the client goes away; an
+// aborted download just ends, since the headers are already sent
+const streamExport = async (res, cursor, { format, filename, columns, toRow, toJson = (doc) => doc }) => {
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type(format === 'csv' ? 'text/csv' : 'application/json');
+
+  async function* chunks() {
+    if (format === 'csv') {
+      yield `${columns.join(',')}\n`;
+      for await (const doc of cursor) {
+        yield `${toRow(doc)}\n`;
+      }
+    } else {
+      yield '[';
+      let first = true;
+      for await (const doc of cursor) {
+        yield `${first ? '' : ','}\n${JSON.stringify(toJson(doc))}`;
+        first = false;
+      }
+      yield '\n]';
+    }
+  }
+
+  try {
+    await pipeline(Readable.from(chunks()), res);
+  } catch (error) {
+    if (!CLIENT_ABORT_CODES.includes(error.code)) throw error;
+    res.destroy();
+  }
+};
+
+module.exports = {
+  escapeCsv,
+  streamExport
+};
@@ -0,0 +1,206 @@
+const User = require('../models/User');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Longest value a TEXT custom field accepts
+const MAX_TEXT_LENGTH = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Check one value against its field definition and return the value to store (null clears it)
+const parseCustomFieldValue = (field, value) => {
+  if (isEmptyValue(value)) return null;
+
+  switch (field.type) {
+    case 'TEXT': {
+      if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+        throw new ApiError(`${field.name} must be text of at most ${MAX_TEXT_LENGTH} characters`, 400);
+      }
+      return value.trim() || null;
+    }
+    case 'NUMBER': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new ApiError(`${field.name} must be a number`, 400);
+      }
+      return number;
+    }
+    case 'DATE': {
+      const date = new Date(value);
+      if ((typeof value !== 'string' && !(value instanceof Date)) || isNaN(date.getTime())) {
+        throw new ApiError(`${field.name} must be a valid date`, 400);
+      }
+      return date;
+    }
+    case 'SELECT': {
+      if (!field.options.includes(value)) {
+        throw new ApiError(`${field.name} must be one of: ${field.options.join(', ')}`, 400);
+      }
+      return value;
+    }
+    case 'MULTI_SELECT': {
+      const values = Array.isArray(value) ? value : [value];
+      const invalid = values.filter(option => !field.options.includes(option));
+      if (invalid.length > 0) {
+        throw new ApiError(`${field.name} values must be among: ${field.options.join(', ')}`, 400);
+      }
+      return [...new Set(values)];
+    }
+    case 'USER': {
+      if (!/^[0-9a-fA-F]{24}$/.test(String(value))) {
+        throw new ApiError(`${field.name} must be a user ID`, 400);
+      }
+      return String(value);
+    }
+    default:
+      throw new ApiError(`Unsupported custom field type ${field.type}`, 400);
+  }
+};
+
+// USER custom fields can only point at active users with access to the project
+const checkCustomFieldUser = async (project, field, userId) => {
+  const user = await User.findOne({ _id: userId, isActive: true }).select('_id');
+
+  if (!user || !project.hasAccess(user._id)) {
+    throw new ApiError(`${field.name} must be an active user with access to this project`, 400);
+  }
+};
+
+// Validate submitted custom field values against the project's definitions and return
+// the ticket's new customFields. `current` is null for new tickets, which get defaults
+// and must fill in every required field; updates can't clear a required field
+const resolveCustomFields = async (project, values = {}, current = null) => {
+  const unknown = Object.keys(values).filter(key => !project.findCustomField(key));
+  if (unknown.length > 0) {
+    throw new ApiError(`Unknown custom fields for this project: ${unknown.join(', ')}`, 400);
+  }
+
+  const result = { ...(current || {}) };
+
+  for (const [key, value] of Object.entries(values)) {
+    const field = project.findCustomField(key);
+    const parsed = parseCustomFieldValue(field, value);
+
+    if (parsed === null) {
+      delete result[key];
+      continue;
+    }
+
+    if (field.type === 'USER') {
+      await checkCustomFieldUser(project, field, parsed);
+    }
+    result[key] = parsed;
+  }
+
+  for (const field of project.customFields) {
+    if (!current && result[field.key] === undefined && !isEmptyValue(field.defaultValue)) {
+      result[field.key] = field.defaultValue;
+    }
+
+    const checked = !current || Object.prototype.hasOwnProperty.call(values, field.key);
+    if (field.required && checked && result[field.key] === undefined) {
+      throw new ApiError(`${field.name} is required`, 400);
+    }
+  }
+
+  return result;
+};
+
+// Keep the values a ticket moving to another project can hold there: fields with the
+// same key and type whose value is still valid (e.g. an existing option, a user with access)
+const carryOverCustomFields = (sourceProject, targetProject, values) => {
+  const result = {};
+
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const source = sourceProject.findCustomField(key);
+    const target = targetProject.findCustomField(key);
+    if (!source || !target || source.type !== target.type) return;
+
+    try {
+      const parsed = parseCustomFieldValue(target, value);
+      if (parsed === null) return;
+      if (target.type === 'USER' && !targetProject.hasAccess(parsed)) return;
+      result[key] = parsed;
+    } catch (error) {
+      // Not valid in the destination project; drop it
+    }
+  });
+
+  return result;
+};
+
+// Parse "min..max" (either side may be left out) into a range condition
+const parseRange = (value, parse) => {
+  const [from, to] = value.split('..');
+  const condition = {};
+  if (from) condition.$gte = parse(from);
+  if (to) condition.$lte = parse(to);
+  return condition;
+};
+
+// Turn customFields[key]=value query parameters into ticket filters. TEXT matches
+// case-insensitively on part of the value, NUMBER and DATE take a value or a
+// "min..max" range (a single date matches that whole day), USER takes an ID or "me"
+const buildCustomFieldFilters = (project, filters, user) => {
+  const query = {};
+
+  Object.entries(filters).forEach(([key, value]) => {
+    const field = project.findCustomField(key);
+    if (!field) {
+      throw new ApiError(`Unknown custom field for this project: ${key}`, 400);
+    }
+
+    const path = `customFields.${key}`;
+    const isRange = value.includes('..');
+
+    switch (field.type) {
+      case 'TEXT':
+        query[path] = { $regex: escapeRegex(value), $options: 'i' };
+        break;
+      case 'NUMBER': {
+        const parse = (text) => parseCustomFieldValue(field, text);
+        query[path] = isRange ? parseRange(value, parse) : parse(value);
+        break;
+      }
+      case 'DATE': {
+        const parse = (text) => parseCustomFieldValue(field, text);
+        if (isRange) {
+          query[path] = parseRange(value, parse);
+        } else {
+          const day = parse(value);
+          query[path] = { $gte: day, $lt: new Date(day.getTime() + DAY_MS) };
+        }
+        break;
+      }
+      case 'USER':
+        query[path] = value === 'me' ? user._id.toString() : value;
+        break;
+      default:
+        // SELECT equals the option; MULTI_SELECT contains it
+        query[path] = value;
+    }
+  });
+
+  return query;
+};
+
+// Plain-text form of a custom field value for exports
+const formatCustomFieldValue = (field, value) => {
+  if (isEmptyValue(value)) return null;
+  if (field.type === 'DATE') return new Date(value).toISOString().substring(0, 10);
+  if (Array.isArray(value)) return value.join('; ');
+  return value;
+};
+
+module.exports = {
+  parseCustomFieldValue,
+  checkCustomFieldUser,
+  resolveCustomFields,
+  carryOverCustomFields,
+  buildCustomFieldFilters,
+  formatCustomFieldValue
+};
@@ -1,5 +1,8 @@
 const nodemailer = require('nodemailer');
 const SendGridWebAPIService = require('./sendgridWebAPI');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { escapeHtml } = require('./html');
 
 class EmailService {
   constructor() {
@@ -193,6 +196,32 @@ class EmailService {
     });
   }
 
+  async sendEmailVerificationEmail(user, verificationToken) {
+    const subject = 'Verify your email address';
+    const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Verify Your Email</h2>
+        <p>Hi ${user.name},</p>
+        <p>Please confirm that ${user.email} is your email address.</p>
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <div style="text-align: center; margin: 20px 0;">
+            <a href="${verifyUrl}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">Verify Email</a>
+          </div>
+          <p><small>If the button doesn't work, copy and paste this link: ${verifyUrl}</small></p>
+        </div>
+        <p>This link will expire in 24 hours.</p>
+        <p>Best regards,<br>The Bug Tracker Team</p>
+      </div>
+    `;
+
+    return await this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
+
   async sendTicketAssignmentEmail(ticket, assignedUser, assignedBy) {
     const subject = `Ticket Assigned: ${ticket.title}`;
     const html = `
@@ -226,7 +255,7 @@ class EmailService {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #333;">Ticket Status Updated</h2>
-        <p>A ticket you're involved with has been updated.</p>
+        <p>A ticket you're watching has been updated.</p>
         <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
           <p><strong>Ticket Details:</strong></p>
           <p><strong>Title:</strong> ${ticket.title}</p>
@@ -239,12 +268,58 @@ class EmailService {
       </div>
     `;
 
-    // Send to assigned user and creator if they're different
-    const recipients = [];
-    if (ticket.assignedTo) recipients.push(ticket.assignedTo.email);
-    if (ticket.createdBy && ticket.createdBy.email !== ticket.assignedTo?.email) {
-      recipients.push(ticket.createdBy.email);
-    }
+    // Send to everyone watching the ticket except the person who changed it
+    const recipients = await this.getWatcherEmails(ticket, [updatedBy]);
+
+    const promises = recipients.map(email => 
+      this.sendEmail({ to: email, subject, html })
+    );
+
+    return await Promise.allSettled(promises);
+  }
+
+  async sendTicketMovedEmail(ticket, fromProject, toProject, previousKey, movedBy) {
+    const subject = `Ticket Moved: ${ticket.title}`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Ticket Moved</h2>
+        <p>A ticket you're watching has been moved to another project.</p>
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Title:</strong> ${ticket.title}</p>
+          <p><strong>From:</strong> ${fromProject.name}${previousKey ? ` (${previousKey})` : ''}</p>
+          <p><strong>To:</strong> ${toProject.name} (${ticket.key})</p>
+          <p><strong>Moved by:</strong> ${movedBy.name}</p>
+        </div>
+        <p>Best regards,<br>The Bug Tracker Team</p>
+      </div>
+    `;
+
+    const recipients = await this.getWatcherEmails(ticket, [movedBy]);
+
+    const promises = recipients.map(email => 
+      this.sendEmail({ to: email, subject, html })
+    );
+
+    return await Promise.allSettled(promises);
+  }
+
+  async sendTicketCommentEmail(ticket, comment, author, skipUsers = []) {
+    const subject = `New Comment: ${ticket.title}`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">New Comment</h2>
+        <p>${author.name} commented on a ticket you're watching.</p>
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Ticket:</strong> ${ticket.title}</p>
+          <p><strong>Status:</strong> ${ticket.status}</p>
+          <p><strong>Comment:</strong></p>
+          <p style="white-space: pre-wrap;">${escapeHtml(comment.body)}</p>
+        </div>
+        <p>Best regards,<br>The Bug Tracker Team</p>
+      </div>
+    `;
+
+    const recipients = await this.getWatcherEmails(ticket, [author, ...skipUsers]);
 
     const promises = recipients.map(email => 
       this.sendEmail({ to: email, subject, html })
@@ -253,12 +328,61 @@ class EmailService {
     return await Promise.allSettled(promises);
   }
 
-  async sendProjectInvitationEmail(project, invitedUser, invitedBy) {
+  // One summary email per recipient for a bulk operation
+  async sendBulkUpdateEmail(recipient, changes, updatedBy) {
+    const subject = `${changes.length} ticket${changes.length === 1 ? '' : 's'} updated by ${updatedBy.name}`;
+    const rows = changes.map(change => `
+          <li><strong>${change.ticket.key || ''} ${change.ticket.title}</strong>: ${change.summary}</li>`).join('');
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Tickets Updated</h2>
+        <p>Hi ${recipient.name},</p>
+        <p>${updatedBy.name} made the following changes to tickets you're involved with:</p>
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <ul>${rows}
+          </ul>
+        </div>
+        <p>Best regards,<br>The Bug Tracker Team</p>
+      </div>
+    `;
+
+    return await this.sendEmail({
+      to: recipient.email,
+      subject,
+      html
+    });
+  }
+
+  // Get emails of a ticket's (populated) watchers, minus the given users. Watchers who
+  // lost access to the ticket's project (e.g. removed members) are skipped
+  async getWatcherEmails(ticket, excludedUsers = []) {
+    const excludedIds = excludedUsers
+      .filter(Boolean)
+      .map(user => (user._id || user).toString());
+
+    const watchers = (ticket.watchers || [])
+      .filter(watcher => watcher && watcher.email)
+      .filter(watcher => !excludedIds.includes(watcher._id.toString()));
+    if (watchers.length === 0) return [];
+
+    const [project, adminIds] = await Promise.all([
+      Project.findById(ticket.project._id || ticket.project),
+      User.find({ _id: { $in: watchers.map(watcher => watcher._id) }, role: 'ADMIN' }).distinct('_id')
+    ]);
+    const admins = adminIds.map(id => id.toString());
+
+    return watchers
+      .filter(watcher => admins.includes(watcher._id.toString()) || (project && project.hasAccess(watcher._id)))
+      .map(watcher => watcher.email);
+  }
+
+  // acceptUrl is set for email invitations that still have to be accepted
+  async sendProjectInvitationEmail(project, invitedUser, invitedBy, acceptUrl) {
     const subject = `Project Invitation: ${project.name}`;
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #333;">Project Invitation</h2>
-        <p>Hi ${invitedUser.name},</p>
+        <p>Hi ${invitedUser.name || 'there'},</p>
         <p>You have been invited to join a project.</p>
         <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
           <p><strong>Project Details:</strong></p>
@@ -266,7 +390,13 @@ class EmailService {
           <p><strong>Description:</strong> ${project.description}</p>
           <p><strong>Invited by:</strong> ${invitedBy.name}</p>
         </div>
-        <p>You can now access this project and start working on tickets!</p>
+        ${acceptUrl ? `
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${acceptUrl}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">Accept Invitation</a>
+        </div>
+        <p><small>If the button doesn't work, copy and paste this link: ${acceptUrl}</small></p>
+        <p>If you don't have an account yet, sign up with this email address and you will be added to the project automatically.</p>
+        ` : '<p>You can now access this project and start working on tickets!</p>'}
         <p>Best regards,<br>The Bug Tracker Team</p>
       </div>
     `;
@@ -278,6 +408,31 @@ class EmailService {
     });
   }
 
+  async sendCommentMentionEmail(ticket, comment, mentionedUser, author) {
+    const subject = `You were mentioned on: ${ticket.title}`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You Were Mentioned</h2>
+        <p>Hi ${mentionedUser.name},</p>
+        <p>${author.name} mentioned you in a comment on a ticket.</p>
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Ticket:</strong> ${ticket.title}</p>
+          <p><strong>Status:</strong> ${ticket.status}</p>
+          <p><strong>Comment:</strong></p>
+          <p style="white-space: pre-wrap;">${escapeHtml(comment.body)}</p>
+        </div>
+        <p>Please log in to the system to reply.</p>
+        <p>Best regards,<br>The Bug Tracker Team</p>
+      </div>
+    `;
+
+    return await this.sendEmail({
+      to: mentionedUser.email,
+      subject,
+      html
+    });
+  }
+
   // Get color for priority display
   getPriorityColor(priority) {
     switch (priority) {
@@ -299,6 +454,29 @@ class EmailService {
     }
   }
 
+  // Tell a user their account was locked after repeated failed logins
+  async sendAccountLockedEmail(user, lockUntil) {
+    const subject = 'Your Bug Tracker account has been locked';
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Account Temporarily Locked</h2>
+        <p>Hi ${user.name},</p>
+        <p>Your account was locked after too many failed login attempts.</p>
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Locked until:</strong> ${lockUntil.toUTCString()}</p>
+        </div>
+        <p>If this wasn't you, someone may be trying to guess your password. Consider resetting it once the lock expires, or contact an administrator to unlock your account sooner.</p>
+        <p>Best regards,<br>The Bug Tracker Team</p>
+      </div>
+    `;
+
+    return await this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
+
   // Send password reset email (for future enhancement)
   async sendPasswordResetEmail(user, resetToken) {
     const subject = 'Password Reset Request';
@@ -0,0 +1,11 @@
+// Escape text for use in HTML (email bodies, highlighted snippets, release notes)
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  escapeHtml
+};
\ No newline at end of file
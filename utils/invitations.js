@@ -0,0 +1,62 @@
+const Project = require('../models/Project');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const { ApiError } = require('../middlewares/errorHandler');
+const { recordAuditEvent, auditTarget } = require('./auditLog');
+
+// Add the invited user to the project with the invited role and close the invitation
+const acceptInvitation = async (invitation, user, req) => {
+  const project = await Project.findOne({ _id: invitation.project, isActive: true });
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  const alreadyMember = project.createdBy.toString() === user._id.toString() ||
+    project.members.some(member => member.user.toString() === user._id.toString());
+
+  if (!alreadyMember) {
+    project.members.push({
+      user: user._id,
+      role: invitation.role,
+      joinedAt: new Date()
+    });
+    await project.save();
+
+    await recordAuditEvent(req, {
+      actor: user,
+      action: 'PROJECT_MEMBER_ADDED',
+      target: auditTarget('PROJECT', project),
+      after: { user: user._id, email: user.email, role: invitation.role, invitation: invitation._id }
+    });
+  }
+
+  invitation.status = 'ACCEPTED';
+  invitation.respondedAt = new Date();
+  invitation.acceptedBy = user._id;
+  await invitation.save({ validateBeforeSave: false });
+
+  return project;
+};
+
+// Accept every open invitation sent to a user's email once they have proven they own it
+// (email verification). Until then invitations can only be accepted with their link token
+const applyPendingInvitations = async (user, req) => {
+  if (!user.isEmailVerified()) return [];
+
+  const invitations = await ProjectInvitation.findPendingForEmail(user.email);
+
+  const projects = [];
+  for (const invitation of invitations) {
+    try {
+      projects.push(await acceptInvitation(invitation, user, req));
+    } catch (error) {
+      // Invitations to projects deleted since then are skipped
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+  return projects;
+};
+
+module.exports = {
+  acceptInvitation,
+  applyPendingInvitations
+};
@@ -0,0 +1,23 @@
+const Project = require('../models/Project');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Load an active project and verify the user has the required role on it
+const findAccessibleProject = async (projectId, user, requiredRole = 'VIEWER') => {
+  const project = await Project.findOne({ _id: projectId, isActive: true });
+
+  if (!project) {
+    throw new ApiError('Project not found', 404);
+  }
+
+  if (user.role !== 'ADMIN' && !project.hasAccess(user._id, requiredRole)) {
+    throw new ApiError(requiredRole === 'VIEWER'
+      ? 'Access denied to this project'
+      : `Only project ${requiredRole} role or above can do this`, 403);
+  }
+
+  return project;
+};
+
+module.exports = {
+  findAccessibleProject
+};
@@ -0,0 +1,85 @@
+const { escapeHtml } = require('./html');
+
+// Release note sections, one per ticket type, in display order
+const SECTIONS = [
+  { type: 'FEATURE', title: 'New Features' },
+  { type: 'ENHANCEMENT', title: 'Improvements' },
+  { type: 'BUG', title: 'Bug Fixes' },
+  { type: 'TASK', title: 'Tasks' }
+];
+
+// Keep ticket titles from being read as Markdown formatting
+const escapeMarkdown = (value) => String(value).replace(/([\\`*_[\]<>|])/g, '\\$1');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().substring(0, 10) : null);
+
+// Group a version's tickets into the release note sections (empty sections are left out)
+const groupTickets = (tickets) => {
+  return SECTIONS
+    .map(({ type, title }) => ({
+      type,
+      title,
+      tickets: tickets
+        .filter(ticket => (ticket.type || 'BUG') === type)
+        .map(ticket => ({ key: ticket.key, title: ticket.title, status: ticket.status }))
+    }))
+    .filter(section => section.tickets.length > 0);
+};
+
+const renderMarkdown = ({ project, version, sections }) => {
+  const lines = [`# ${escapeMarkdown(project.name)} ${escapeMarkdown(version.name)}`, ''];
+
+  const date = formatDate(version.releaseDate);
+  if (date) lines.push(`Released ${date}`, '');
+  if (version.description) lines.push(escapeMarkdown(version.description), '');
+
+  if (sections.length === 0) {
+    lines.push('No tickets in this release.', '');
+  }
+
+  sections.forEach(section => {
+    lines.push(`## ${section.title}`, '');
+    section.tickets.forEach(ticket => {
+      lines.push(`- ${ticket.key ? `**${ticket.key}** ` : ''}${escapeMarkdown(ticket.title)}`);
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
+const renderHtml = ({ project, version, sections }) => {
+  const parts = [`<h1>${escapeHtml(project.name)} ${escapeHtml(version.name)}</h1>`];
+
+  const date = formatDate(version.releaseDate);
+  if (date) parts.push(`<p>Released ${date}</p>`);
+  if (version.description) parts.push(`<p>${escapeHtml(version.description)}</p>`);
+
+  if (sections.length === 0) {
+    parts.push('<p>No tickets in this release.</p>');
+  }
+
+  sections.forEach(section => {
+    parts.push(`<h2>${section.title}</h2>`);
+    parts.push('<ul>');
+    section.tickets.forEach(ticket => {
+      parts.push(`  <li>${ticket.key ? `<strong>${escapeHtml(ticket.key)}</strong> ` : ''}${escapeHtml(ticket.title)}</li>`);
+    });
+    parts.push('</ul>');
+  });
+
+  return parts.join('\n') + '\n';
+};
+
+// Build the release notes of a version in markdown, html or json (grouped data)
+const buildReleaseNotes = (project, version, tickets, format = 'markdown') => {
+  const notes = { project, version, sections: groupTickets(tickets) };
+
+  if (format === 'html') return renderHtml(notes);
+  if (format === 'json') return notes.sections;
+  return renderMarkdown(notes);
+};
+
+module.exports = {
+  buildReleaseNotes
+};
@@ -0,0 +1,36 @@
+const LocalStorageDriver = require('./localStorage');
+
+// Available storage drivers, selected with STORAGE_DRIVER
+const drivers = {
+  local: LocalStorageDriver
+};
+
+const createStorage = (driverName = process.env.STORAGE_DRIVER || 'local') => {
+  const Driver = drivers[driverName];
+  if (!Driver) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+  const driver = new Driver();
+
+  // Convenience for removing several objects at once
+  driver.deleteObjects = (keys) => Promise.all(keys.map(key => driver.deleteObject(key)));
+
+  return driver;
+};
+
+// Register an additional driver (e.g. an S3-compatible client)
+const registerDriver = (name, Driver) => {
+  drivers[name] = Driver;
+};
+
+// Build a content-addressed key from a SHA-256 checksum
+const keyForChecksum = (checksum) =>
+  `${checksum.substring(0, 2)}/${checksum.substring(2, 4)}/${checksum}`;
+
+// Create singleton instance
+const storage = createStorage();
+
+module.exports = storage;
+module.exports.createStorage = createStorage;
+module.exports.registerDriver = registerDriver;
+module.exports.keyForChecksum = keyForChecksum;
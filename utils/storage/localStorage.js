@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Stores objects on the local filesystem using an S3-style interface
+// (putObject / getObjectStream / headObject / deleteObject), so an
+// S3-compatible driver can be swapped in without touching controllers.
+class LocalStorageDriver {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(options.rootDir || process.env.UPLOAD_DIR || 'uploads');
+  }
+
+  // Resolve an object key to a path inside the storage root
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Write through a temp file so readers of an existing object never see a partial write
+  async putObject(key, buffer) {
+    const filePath = this.resolvePath(key);
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+    return { key, size: buffer.length };
+  }
+
+  async headObject(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      return { key, size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  getObjectStream(key) {
+    return fs.createReadStream(this.resolvePath(key));
+  }
+
+  async deleteObject(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,36 @@
+const Ticket = require('../models/Ticket');
+const Project = require('../models/Project');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Load a ticket and verify the user has the required role on its project
+const findAccessibleTicket = async (ticketId, user, requiredRole = 'VIEWER') => {
+  const ticket = await Ticket.findById(ticketId);
+
+  if (!ticket) {
+    throw new ApiError('Ticket not found', 404);
+  }
+
+  const project = await Project.findById(ticket.project);
+  if (user.role !== 'ADMIN' && !project.hasAccess(user._id, requiredRole)) {
+    throw new ApiError('Access denied to this ticket', 403);
+  }
+
+  return { ticket, project };
+};
+
+// Find a ticket given either its ObjectId or its key (e.g. API-123)
+const findTicketByReference = async (reference) => {
+  const ticket = /^[0-9a-fA-F]{24}$/.test(reference)
+    ? await Ticket.findById(reference)
+    : await Ticket.findByKey(reference);
+
+  if (!ticket) {
+    throw new ApiError(`Ticket ${reference} not found`, 404);
+  }
+  return ticket;
+};
+
+module.exports = {
+  findAccessibleTicket,
+  findTicketByReference
+};
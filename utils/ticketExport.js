@@ -0,0 +1,62 @@
+const { escapeCsv } = require('./csv');
+const { formatCustomFieldValue } = require('./customFields');
+
+// Built-in fields of a ticket export, in CSV column order
+const TICKET_EXPORT_FIELDS = [
+  'key', 'title', 'type', 'status', 'priority', 'project', 'assignedTo', 'createdBy',
+  'dueDate', 'estimatedHours', 'actualHours', 'tags', 'createdAt', 'updatedAt'
+];
+
+// Ticket fields the export cursor needs to load
+const TICKET_EXPORT_SELECT = [...TICKET_EXPORT_FIELDS, 'customFields'].join(' ');
+
+// Custom field keys of the exported projects, one column each
+const customFieldKeys = (projects) => [
+  ...new Set(projects.flatMap(project => project.customFields.map(field => field.key)))
+];
+
+// CSV columns: built-in fields followed by customFields.<key> columns
+const ticketCsvColumns = (customKeys) => [
+  ...TICKET_EXPORT_FIELDS,
+  ...customKeys.map(key => `customFields.${key}`)
+];
+
+// Exported form of a (lean, populated) ticket: the built-in fields plus its custom field values
+const toTicketExport = (ticket, project) => ({
+  key: ticket.key,
+  title: ticket.title,
+  type: ticket.type,
+  status: ticket.status,
+  priority: ticket.priority,
+  project: project ? project.key || project.name : ticket.project,
+  assignedTo: ticket.assignedTo ? ticket.assignedTo.email : null,
+  createdBy: ticket.createdBy ? ticket.createdBy.email : null,
+  dueDate: ticket.dueDate,
+  estimatedHours: ticket.estimatedHours,
+  actualHours: ticket.actualHours,
+  tags: ticket.tags || [],
+  createdAt: ticket.createdAt,
+  updatedAt: ticket.updatedAt,
+  customFields: ticket.customFields || {}
+});
+
+// Format one ticket as a CSV row; custom field values follow the ticket's own project definitions
+const toTicketCsvRow = (ticket, project, customKeys) => {
+  const exported = toTicketExport(ticket, project);
+
+  return [
+    ...TICKET_EXPORT_FIELDS.map(field => (field === 'tags' ? exported.tags.join('; ') : exported[field])),
+    ...customKeys.map(key => {
+      const field = project && project.findCustomField(key);
+      return field ? formatCustomFieldValue(field, exported.customFields[key]) : null;
+    })
+  ].map(escapeCsv).join(',');
+};
+
+module.exports = {
+  TICKET_EXPORT_SELECT,
+  customFieldKeys,
+  ticketCsvColumns,
+  toTicketExport,
+  toTicketCsvRow
+};
@@ -0,0 +1,258 @@
+const Ticket = require('../models/Ticket');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const TicketHistory = require('../models/TicketHistory');
+const Version = require('../models/Version');
+const { ApiError } = require('../middlewares/errorHandler');
+const storage = require('./storage');
+const { ensureEmailVerified } = require('./accountPolicy');
+const { carryOverCustomFields } = require('./customFields');
+
+// Enforce the project workflow (and close rules) for a status change
+const validateStatusChange = async (ticket, project, updates, user) => {
+  if (!project.hasStatus(updates.status)) {
+    throw new ApiError(`Status ${updates.status} is not part of this project's workflow`, 400);
+  }
+
+  const transition = project.findTransition(ticket.status, updates.status);
+  if (!transition) {
+    throw new ApiError(`Transition from ${ticket.status} to ${updates.status} is not allowed`, 400);
+  }
+
+  if (user.role !== 'ADMIN' && !project.hasAccess(user._id, transition.requiredRole)) {
+    throw new ApiError(`Only project ${transition.requiredRole} role or above can move tickets to ${updates.status}`, 403);
+  }
+
+  const missingFields = transition.requiredFields.filter(field => {
+    const value = updates[field] !== undefined ? updates[field] : ticket[field];
+    return value === undefined || value === null || value === '';
+  });
+  if (missingFields.length > 0) {
+    throw new ApiError(`Fields required for this transition: ${missingFields.join(', ')}`, 400);
+  }
+
+  // Closing requires all blockers and subtasks to be done first
+  if (project.getStatusCategory(updates.status) === 'CLOSED') {
+    const blockerIds = await Ticket.find({
+      links: { $elemMatch: { type: 'BLOCKS', ticket: ticket._id } }
+    }).distinct('_id');
+
+    const [openBlockers, openSubtasks] = await Promise.all([
+      Ticket.find({ _id: { $in: blockerIds }, ...Ticket.openStatusFilter() }).select('key title'),
+      Ticket.find({ parent: ticket._id, ...Ticket.openStatusFilter() }).select('key title')
+    ]);
+
+    if (openBlockers.length > 0) {
+      throw new ApiError(`Cannot close ticket while it is blocked by open tickets: ${openBlockers.map(t => t.key || t._id).join(', ')}`, 400);
+    }
+    if (openSubtasks.length > 0) {
+      throw new ApiError(`Cannot close ticket while it has open subtasks: ${openSubtasks.map(t => t.key || t._id).join(', ')}`, 400);
+    }
+  }
+};
+
+// Enforce the WIP limit of the column a ticket is moving into (project MANAGERs may override).
+// The count and the save are separate steps, so concurrent moves into a column one short of
+// its limit can both pass: WIP limits are a soft guard, not a hard cap
+const checkWipLimit = async (project, status, user, override = false) => {
+  const limit = project.getWipLimit(status);
+  if (!limit) return;
+
+  const count = await Ticket.countDocuments({ project: project._id, status });
+  if (count < limit) return;
+
+  if (!override) {
+    throw new ApiError(`Column ${status} is at its WIP limit of ${limit}. Project MANAGERs can override with overrideWipLimit`, 400);
+  }
+  if (user.role !== 'ADMIN' && !project.hasAccess(user._id, 'MANAGER')) {
+    throw new ApiError('Only project MANAGER role or above can override WIP limits', 403);
+  }
+};
+
+// Verify a user can be assigned tickets in a project
+const findAssignableUser = async (project, userId, user) => {
+  const assignedUser = await User.findOne({ _id: userId, isActive: true });
+  if (!assignedUser) {
+    throw new ApiError('Assigned user not found or inactive', 404);
+  }
+
+  // Check if assigned user has access to project
+  if (user.role !== 'ADMIN' && !project.hasAccess(userId)) {
+    throw new ApiError('Assigned user does not have access to this project', 403);
+  }
+
+  await ensureEmailVerified(assignedUser, 'be assigned tickets');
+
+  return assignedUser;
+};
+
+// Verify version IDs belong to the project and are not archived
+const findProjectVersions = async (project, versionIds) => {
+  const ids = [...new Set(versionIds.map(id => id.toString()))];
+  const versions = await Version.find({ _id: { $in: ids }, project: project._id });
+
+  if (versions.length !== ids.length) {
+    throw new ApiError('Versions must belong to the ticket\'s project', 400);
+  }
+
+  const archived = versions.filter(version => version.archived);
+  if (archived.length > 0) {
+    throw new ApiError(`Archived versions cannot be set on tickets: ${archived.map(v => v.name).join(', ')}`, 400);
+  }
+
+  return versions.map(version => version._id);
+};
+
+// Verify component IDs belong to the project
+const findProjectComponents = (project, componentIds) => {
+  const ids = [...new Set(componentIds.map(id => id.toString()))];
+  const unknown = ids.filter(id => !project.findComponent(id));
+
+  if (unknown.length > 0) {
+    throw new ApiError('Components must belong to the ticket\'s project', 400);
+  }
+
+  return ids;
+};
+
+// Find the default assignee of the first component that has one who can still take tickets
+const findComponentAssignee = async (project, componentIds) => {
+  for (const id of componentIds) {
+    const component = project.findComponent(id);
+    if (!component || !component.defaultAssignee || !project.hasAccess(component.defaultAssignee)) continue;
+
+    const assignee = await User.findOne({ _id: component.defaultAssignee, isActive: true });
+    if (!assignee) continue;
+
+    try {
+      await ensureEmailVerified(assignee, 'be assigned tickets');
+      return assignee;
+    } catch (error) {
+      // Unverified assignees are skipped for the next component; other errors propagate
+      if (!(error instanceof ApiError)) throw error;
+    }
+  }
+  return null;
+};
+
+// Check delete permissions (admin, project creator, or ticket creator)
+const canDeleteTicket = (ticket, project, user) => {
+  const isProjectCreator = project.createdBy.toString() === user._id.toString();
+  const isTicketCreator = (ticket.createdBy._id || ticket.createdBy).toString() === user._id.toString();
+
+  return user.role === 'ADMIN' || isProjectCreator || isTicketCreator;
+};
+
+// Detach a ticket's subtasks, saving each one so the change lands in its history
+const detachSubtasks = async (parentId, user) => {
+  const subtasks = await Ticket.find({ parent: parentId });
+  for (const subtask of subtasks) {
+    subtask.parent = null;
+    subtask.modifiedBy = user._id;
+    await subtask.save();
+  }
+};
+
+// Delete a ticket together with its comments, links and unshared attachment files
+const removeTicket = async (ticket, user) => {
+  const id = ticket._id;
+  const storageKeys = ticket.attachments.map(attachment => attachment.storageKey).filter(Boolean);
+
+  await Ticket.findByIdAndDelete(id);
+  await Comment.deleteMany({ ticket: id });
+  await TicketHistory.deleteMany({ ticket: id });
+
+  // Drop links pointing at the deleted ticket and detach its subtasks
+  await Ticket.updateMany({ 'links.ticket': id }, { $pull: { links: { ticket: id } } });
+  await detachSubtasks(id, user);
+
+  // Clean up stored attachment files no other ticket shares
+  const unreferenced = await Ticket.findUnreferencedStorageKeys(storageKeys);
+  await storage.deleteObjects(unreferenced);
+};
+
+// Move a ticket to another project, re-validating access on both sides
+const moveTicket = async (ticket, sourceProject, targetProjectId, user) => {
+  if (sourceProject._id.toString() === targetProjectId.toString()) {
+    throw new ApiError('Ticket is already in this project', 400);
+  }
+
+  const targetProject = await Project.findOne({ _id: targetProjectId, isActive: true });
+  if (!targetProject) {
+    throw new ApiError('Destination project not found', 404);
+  }
+
+  if (user.role !== 'ADMIN' &&
+      (!sourceProject.hasAccess(user._id, 'CONTRIBUTOR') || !targetProject.hasAccess(user._id, 'CONTRIBUTOR'))) {
+    throw new ApiError('Access denied. CONTRIBUTOR role is required on both projects to move a ticket', 403);
+  }
+
+  // Unassign if the assignee cannot see the destination project
+  const assigneeId = ticket.assignedTo && (ticket.assignedTo._id || ticket.assignedTo);
+  const unassigned = Boolean(assigneeId) && !targetProject.hasAccess(assigneeId);
+  if (unassigned) {
+    ticket.assignedTo = null;
+  }
+
+  // Watchers who cannot see the destination project (admins always can) stop watching
+  const watcherIds = ticket.watchers.map(watcher => watcher._id || watcher);
+  const adminIds = (await User.find({ _id: { $in: watcherIds }, role: 'ADMIN' }).distinct('_id'))
+    .map(id => id.toString());
+  ticket.watchers = watcherIds.filter(id => adminIds.includes(id.toString()) || targetProject.hasAccess(id));
+
+  // Statuses missing from the destination workflow restart at its initial status
+  if (!targetProject.hasStatus(ticket.status)) {
+    ticket.status = targetProject.getWorkflow().initialStatus;
+    ticket.$locals.skipTransitionCheck = true;
+  }
+
+  // Subtask hierarchy, sprints, versions and components do not cross projects
+  ticket.parent = null;
+  ticket.sprint = null;
+  ticket.fixVersions = [];
+  ticket.affectsVersions = [];
+  ticket.components = [];
+  ticket.customFields = carryOverCustomFields(sourceProject, targetProject, ticket.customFields);
+  await detachSubtasks(ticket._id, user);
+
+  // Re-key under the destination project, keeping the old key resolvable
+  if (!targetProject.key) {
+    targetProject.key = await Project.generateUniqueKey(targetProject.name);
+    await targetProject.save();
+  }
+  const previousKey = ticket.key;
+  const number = await Project.nextTicketNumber(targetProject._id);
+  if (previousKey) {
+    ticket.previousKeys.addToSet(previousKey);
+  }
+  ticket.key = `${targetProject.key}-${number}`;
+  ticket.number = number;
+
+  ticket.moveHistory.push({
+    fromProject: sourceProject._id,
+    toProject: targetProject._id,
+    fromKey: previousKey,
+    toKey: ticket.key,
+    movedBy: user._id,
+    movedAt: new Date()
+  });
+
+  ticket.project = targetProject._id;
+  ticket.modifiedBy = user._id;
+  await ticket.save();
+
+  return { targetProject, unassigned, previousKey };
+};
+
+module.exports = {
+  validateStatusChange,
+  checkWipLimit,
+  findAssignableUser,
+  findProjectVersions,
+  findProjectComponents,
+  findComponentAssignee,
+  canDeleteTicket,
+  removeTicket,
+  moveTicket
+};
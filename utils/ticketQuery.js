@@ -0,0 +1,142 @@
+const Ticket = require('../models/Ticket');
+const Project = require('../models/Project');
+const Sprint = require('../models/Sprint');
+const { ApiError } = require('../middlewares/errorHandler');
+const { parseSearchQuery, rankTickets } = require('./ticketSearch');
+const { buildCustomFieldFilters } = require('./customFields');
+const { findAccessibleProject } = require('./projectAccess');
+
+// Build the ticket list query for getAllTickets-style filters, scoped to what the user can see
+const buildTicketQuery = async (filters, user) => {
+  const {
+    status,
+    priority,
+    assignedTo,
+    project,
+    search,
+    sortBy: requestedSortBy,
+    sortOrder = 'desc',
+    type,
+    sprint,
+    component,
+    customFields
+  } = filters;
+
+  const sortBy = requestedSortBy || 'createdAt';
+
+  // Build query
+  let query = {};
+
+  // Filter by project access for non-admin users
+  if (user.role !== 'ADMIN') {
+    const accessibleIds = await Project.findAccessibleProjectIds(user._id);
+
+    query.project = { $in: accessibleIds };
+
+    // A project filter can only narrow the accessible projects
+    if (project) {
+      const hasAccess = accessibleIds.some(id => id.toString() === project.toString());
+      query.project = { $in: hasAccess ? [project] : [] };
+    }
+  } else if (project) {
+    query.project = project;
+  }
+
+  // Apply filters
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (type) query.type = type;
+  if (assignedTo) query.assignedTo = assignedTo === 'me' ? user._id : assignedTo;
+  if (component) query.components = component;
+
+  // Sprint filter: a sprint ID, "active" (the active sprint of each project) or "backlog"
+  if (sprint === 'backlog') {
+    query.sprint = null;
+  } else if (sprint === 'active') {
+    const activeSprintIds = await Sprint.find({ state: 'ACTIVE' }).distinct('_id');
+    query.sprint = { $in: activeSprintIds };
+  } else if (sprint) {
+    query.sprint = sprint;
+  }
+
+  // Custom fields are defined per project, so filtering or sorting by them needs a project filter
+  const customSortKey = sortBy.startsWith('customFields.') ? sortBy.slice('customFields.'.length) : null;
+  if ((customFields && Object.keys(customFields).length > 0) || customSortKey) {
+    if (!project) {
+      throw new ApiError('Filtering or sorting by custom fields requires a project filter', 400);
+    }
+
+    // Field definitions are only revealed to users who can see the project
+    const projectDoc = await findAccessibleProject(project, user);
+
+    if (customSortKey && !projectDoc.findCustomField(customSortKey)) {
+      throw new ApiError(`Unknown custom field for this project: ${customSortKey}`, 400);
+    }
+    if (customFields) {
+      Object.assign(query, buildCustomFieldFilters(projectDoc, customFields, user));
+    }
+  }
+
+  // Free-text search over title, description, tags and comments. Without an explicit
+  // sortBy, results keep the relevance order (rankedIds, best match first)
+  let rankedIds = null;
+  if (search) {
+    const parsed = parseSearchQuery(search);
+    const ranked = await rankTickets({ ...parsed, filters: {} }, query);
+    query._id = { $in: ranked.map(result => result.id) };
+    if (!requestedSortBy) rankedIds = ranked.map(result => result.id);
+  }
+
+  // Build sort object
+  const sort = {};
+  sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+  return { query, sort, rankedIds };
+};
+
+// Fetch one page of tickets with the standard pagination envelope. rankedIds (already
+// filtered, in order) pages through search results by relevance instead of sort
+const findTicketPage = async (query, sort, { page = 1, limit = 10, rankedIds = null } = {}) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const populateSummary = (ticketQuery) => ticketQuery
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email')
+    .populate('project', 'name key');
+
+  let total;
+  let tickets;
+
+  if (rankedIds) {
+    total = rankedIds.length;
+
+    const pageIds = rankedIds.slice(skip, skip + parseInt(limit));
+    const found = await populateSummary(Ticket.find({ _id: { $in: pageIds } }));
+    const byId = new Map(found.map(ticket => [ticket._id.toString(), ticket]));
+    tickets = pageIds.map(id => byId.get(id)).filter(Boolean);
+  } else {
+    // Get total count for pagination
+    total = await Ticket.countDocuments(query);
+
+    // Get tickets
+    tickets = await populateSummary(Ticket.find(query))
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort(sort);
+  }
+
+  return {
+    tickets,
+    pagination: {
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      limit: parseInt(limit)
+    }
+  };
+};
+
+module.exports = {
+  buildTicketQuery,
+  findTicketPage
+};
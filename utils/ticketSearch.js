@@ -0,0 +1,238 @@
+const Ticket = require('../models/Ticket');
+const Comment = require('../models/Comment');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { ApiError } = require('../middlewares/errorHandler');
+const { escapeHtml } = require('./html');
+
+// Fields supported in the query language (e.g. "status:OPEN assignee:me")
+const FILTER_FIELDS = ['status', 'priority', 'type', 'assignee', 'reporter', 'project', 'tag', 'is'];
+
+// Upper bound on ranked candidates considered per search
+const MAX_CANDIDATES = 1000;
+
+// Comment matches count for less than matches on the ticket itself
+const COMMENT_SCORE_WEIGHT = 0.5;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search string into free-text terms, "quoted phrases", prefix* terms and field:value filters
+const parseSearchQuery = (input = '') => {
+  const parsed = { terms: [], phrases: [], prefixes: [], filters: {} };
+  const tokenPattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+
+  let match;
+  while ((match = tokenPattern.exec(input)) !== null) {
+    const [, quotedField, quotedValue, field, value, phrase, word] = match;
+    const filterField = (quotedField || field || '').toLowerCase();
+
+    if (filterField && FILTER_FIELDS.includes(filterField)) {
+      parsed.filters[filterField] = quotedField ? quotedValue : value;
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) parsed.phrases.push(phrase.trim());
+    } else {
+      const text = word || match[0];
+      if (text.length > 1 && text.endsWith('*')) {
+        parsed.prefixes.push(text.slice(0, -1));
+      } else {
+        parsed.terms.push(text);
+      }
+    }
+  }
+
+  return parsed;
+};
+
+// Translate parsed field filters into a Ticket query
+const buildFilterQuery = async (filters, user) => {
+  const query = {};
+
+  if (filters.status) query.status = filters.status.toUpperCase();
+  if (filters.priority) query.priority = filters.priority.toUpperCase();
+  if (filters.type) query.type = filters.type.toUpperCase();
+  if (filters.tag) query.tags = filters.tag;
+
+  if (filters.is) {
+    const state = filters.is.toLowerCase();
+    if (state === 'open') Object.assign(query, Ticket.openStatusFilter());
+    else if (state === 'done') query.statusCategory = { $in: ['RESOLVED', 'CLOSED'] };
+    else if (state === 'overdue') Object.assign(query, Ticket.openStatusFilter(), { dueDate: { $lt: new Date() } });
+    else throw new ApiError(`Unknown filter is:${filters.is}`, 400);
+  }
+
+  const resolveUser = async (value, field) => {
+    if (value.toLowerCase() === 'me') return user._id;
+    if (value.toLowerCase() === 'none' && field === 'assignee') return null;
+
+    const found = await User.findOne(
+      /^[0-9a-fA-F]{24}$/.test(value) ? { _id: value } : { email: value.toLowerCase() }
+    ).select('_id');
+    if (!found) {
+      throw new ApiError(`Unknown user in ${field}:${value}`, 400);
+    }
+    return found._id;
+  };
+
+  if (filters.assignee) query.assignedTo = await resolveUser(filters.assignee, 'assignee');
+  if (filters.reporter) query.createdBy = await resolveUser(filters.reporter, 'reporter');
+
+  if (filters.project) {
+    const value = filters.project;
+    const project = await Project.findOne(
+      /^[0-9a-fA-F]{24}$/.test(value)
+        ? { _id: value }
+        : { $or: [{ key: value.toUpperCase() }, { previousKeys: value.toUpperCase() }] }
+    ).select('_id');
+    if (!project) {
+      throw new ApiError(`Unknown project in project:${value}`, 400);
+    }
+    query.project = project._id;
+  }
+
+  return query;
+};
+
+// Rank tickets matching the text part of a parsed query, restricted to baseQuery
+const rankTickets = async (parsed, baseQuery = {}) => {
+  const scores = new Map();
+  const addScore = (id, score) => {
+    const key = id.toString();
+    scores.set(key, (scores.get(key) || 0) + score);
+  };
+
+  const textSearch = [
+    ...parsed.terms,
+    ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`)
+  ].join(' ');
+
+  if (textSearch) {
+    // Aggregation doesn't cast, so cast the ticket filters for the comment lookup up front
+    const ticketScope = Ticket.where(baseQuery).cast(Ticket);
+
+    const [ticketMatches, commentMatches] = await Promise.all([
+      Ticket.find({ ...baseQuery, $text: { $search: textSearch } }, { score: { $meta: 'textScore' } })
+        .select('_id')
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_CANDIDATES)
+        .lean(),
+      // Comment hits have to satisfy the ticket filters and access rules before the
+      // candidate cap, so hidden tickets can't crowd out accessible ones
+      Comment.aggregate([
+        { $match: { isDeleted: false, $text: { $search: textSearch } } },
+        {
+          $lookup: {
+            from: Ticket.collection.name,
+            let: { ticketId: '$ticket' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$_id', '$$ticketId'] } } },
+              { $match: ticketScope },
+              { $project: { _id: 1 } }
+            ],
+            as: 'scopedTicket'
+          }
+        },
+        { $match: { 'scopedTicket.0': { $exists: true } } },
+        { $sort: { score: { $meta: 'textScore' } } },
+        { $limit: MAX_CANDIDATES },
+        { $project: { ticket: 1, score: { $meta: 'textScore' } } }
+      ])
+    ]);
+
+    ticketMatches.forEach(match => addScore(match._id, match.score));
+    commentMatches.forEach(match => addScore(match.ticket, match.score * COMMENT_SCORE_WEIGHT));
+  }
+
+  // Prefix terms match the start of any word in title, description or tags
+  for (const prefix of parsed.prefixes) {
+    const pattern = new RegExp(`(^|\\W)${escapeRegex(prefix)}`, 'i');
+    const matches = await Ticket.find({
+      ...baseQuery,
+      $or: [{ title: pattern }, { description: pattern }, { tags: pattern }]
+    })
+      .select('_id')
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    matches.forEach(match => addScore(match._id, 1));
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CANDIDATES)
+    .map(([id, score]) => ({ id, score }));
+};
+
+// Regex alternatives matching the text parts of a parsed query
+const highlightAlternatives = (parsed) => [
+  ...parsed.phrases.map(phrase => escapeRegex(phrase)),
+  ...parsed.terms.map(term => `${escapeRegex(term)}\\w*`),
+  ...parsed.prefixes.map(prefix => `${escapeRegex(prefix)}\\w*`)
+];
+
+// Build a short snippet around the first match, wrapping matches in <mark>
+const highlight = (text, parsed, radius = 60) => {
+  if (!text) return null;
+
+  const alternatives = highlightAlternatives(parsed);
+  if (alternatives.length === 0) return null;
+
+  const pattern = new RegExp(`\\b(?:${alternatives.join('|')})`, 'gi');
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - radius);
+  const end = Math.min(text.length, first.index + first[0].length + radius);
+  const excerpt = text.substring(start, end);
+
+  const marked = escapeHtml(excerpt).replace(
+    new RegExp(`\\b(?:${alternatives.map(alt => escapeHtml(alt)).join('|')})`, 'gi'),
+    found => `<mark>${found}</mark>`
+  );
+
+  return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`;
+};
+
+// Collect highlighted snippets for a page of tickets and their newest matching comment,
+// keyed by ticket ID. Matching comments of all tickets are fetched in one query
+const buildHighlights = async (tickets, parsed) => {
+  const alternatives = highlightAlternatives(parsed);
+
+  const latestMatches = tickets.length > 0 && alternatives.length > 0
+    ? await Comment.aggregate([
+      {
+        $match: {
+          ticket: { $in: tickets.map(ticket => ticket._id) },
+          isDeleted: false,
+          body: new RegExp(`\\b(?:${alternatives.join('|')})`, 'i')
+        }
+      },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$ticket', commentId: { $first: '$_id' }, body: { $first: '$body' } } }
+    ])
+    : [];
+  const commentByTicket = new Map(latestMatches.map(match => [match._id.toString(), match]));
+
+  return new Map(tickets.map(ticket => {
+    const highlights = [];
+
+    const title = highlight(ticket.title, parsed);
+    if (title) highlights.push({ field: 'title', snippet: title });
+
+    const description = highlight(ticket.description, parsed);
+    if (description) highlights.push({ field: 'description', snippet: description });
+
+    const comment = commentByTicket.get(ticket._id.toString());
+    const snippet = comment && highlight(comment.body, parsed);
+    if (snippet) highlights.push({ field: 'comment', commentId: comment.commentId, snippet });
+
+    return [ticket._id.toString(), highlights];
+  }));
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildFilterQuery,
+  rankTickets,
+  buildHighlights,
+  highlight
+};